@@ -9,6 +9,233 @@
 
 // Packet sizes and offsets will be calculated dynamically from YAML
 
+/**
+ * Transport layer
+ *
+ * OpenDisplayBLE talks to a device through a transport object instead of
+ * calling Web Bluetooth directly. A transport must implement:
+ *   open(options)  - establish the link, resolves to { name, id }
+ *   reopen()       - re-establish the last link after a disconnect
+ *   close()        - tear the link down
+ *   write(bytes)   - send one frame (Uint8Array)
+ *   isOpen()       - whether frames can currently be written
+ * and report incoming frames and link loss through emitNotification() and
+ * emitDisconnect(), which the library subscribes to via onNotification and
+ * onDisconnect.
+ */
+class OpenDisplayTransport {
+  constructor(options = {}) {
+    this.onNotification = null;
+    this.onDisconnect = null;
+    this.onLog = options.onLog || null;
+    this.lastOpenOptions = null;
+  }
+  
+  async open(options = {}) {
+    throw new Error(`${this.constructor.name}.open() not implemented`);
+  }
+  
+  /**
+   * Re-establish the link opened by the last open() call
+   */
+  async reopen() {
+    return await this.open(this.lastOpenOptions || {});
+  }
+  
+  async close() {
+    throw new Error(`${this.constructor.name}.close() not implemented`);
+  }
+  
+  async write(bytes) {
+    throw new Error(`${this.constructor.name}.write() not implemented`);
+  }
+  
+  isOpen() {
+    return false;
+  }
+  
+  /**
+   * Deliver a frame received from the device to the subscriber
+   */
+  emitNotification(bytes, rawEvent = null) {
+    if (!bytes || bytes.length === 0) return;
+    if (this.onNotification) {
+      this.onNotification(bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes), rawEvent);
+    }
+  }
+  
+  /**
+   * Report an unexpected link loss to the subscriber
+   */
+  emitDisconnect() {
+    if (this.onDisconnect) {
+      this.onDisconnect();
+    }
+  }
+  
+  log(message, type = 'info') {
+    if (this.onLog) {
+      this.onLog(message, type);
+    }
+  }
+}
+
+/**
+ * Web Bluetooth GATT transport (default in browsers)
+ */
+class WebBluetoothTransport extends OpenDisplayTransport {
+  constructor(options = {}) {
+    super(options);
+    this.serviceUUID = options.serviceUUID || 0x2446;
+    this.characteristicUUID = options.characteristicUUID || 0x2446;
+    this.gattRetryDelay = options.gattRetryDelay || 150;
+    this.gattMaxRetries = options.gattMaxRetries || 2;
+    
+    this.device = null;
+    this.gattServer = null;
+    this.service = null;
+    this.characteristic = null;
+    
+    this.boundHandleDisconnect = () => this.handleGattDisconnect();
+    this.boundHandleValueChanged = (event) => this.handleValueChanged(event);
+  }
+  
+  /**
+   * Request a device from the browser and connect to it
+   * @param {Object} options - { namePrefixes: string[] }
+   */
+  async open(options = {}) {
+    this.lastOpenOptions = options;
+    
+    if (typeof navigator === 'undefined' || !navigator.bluetooth) {
+      throw new Error('Web Bluetooth is not available');
+    }
+    
+    const namePrefixes = options.namePrefixes || [];
+    const deviceOptions = {
+      optionalServices: [this.serviceUUID],
+      filters: namePrefixes.map(p => ({ namePrefix: p }))
+    };
+    
+    if (deviceOptions.filters.length === 0) {
+      throw new Error('No valid device filters');
+    }
+    
+    if (this.device && this.device.removeEventListener) {
+      this.device.removeEventListener('gattserverdisconnected', this.boundHandleDisconnect);
+    }
+    
+    this.log(`Requesting device with filters: ${JSON.stringify(deviceOptions.filters)}`, 'info');
+    this.device = await navigator.bluetooth.requestDevice(deviceOptions);
+    this.log(`Found: ${this.device.name || 'Unknown device'} (${this.device.id})`, 'success');
+    this.device.addEventListener('gattserverdisconnected', this.boundHandleDisconnect);
+    
+    await this.connectToGATT();
+    return { name: this.device.name || null, id: this.device.id };
+  }
+  
+  /**
+   * Reconnect to the already selected device without showing the picker
+   */
+  async reopen() {
+    await this.connectToGATT();
+    return { name: this.device.name || null, id: this.device.id };
+  }
+  
+  /**
+   * Connect to GATT server and start notifications
+   */
+  async connectToGATT() {
+    if (!this.device) {
+      throw new Error('No device selected');
+    }
+    
+    if (this.device.gatt && this.device.gatt.connected && this.characteristic) {
+      this.log('Already connected to GATT', 'info');
+      return;
+    }
+    
+    this.log(`Connecting to GATT Server on: ${this.device.name || this.device.id}...`, 'info');
+    
+    this.gattServer = await this.device.gatt.connect();
+    this.log('GATT Server connected', 'success');
+    
+    this.service = await this.gattServer.getPrimaryService(this.serviceUUID);
+    this.log(`Service 0x${this.serviceUUID.toString(16)} found`, 'success');
+    
+    this.characteristic = await this.service.getCharacteristic(this.characteristicUUID);
+    this.log(`Characteristic 0x${this.characteristicUUID.toString(16)} found`, 'success');
+    
+    await this.characteristic.startNotifications();
+    this.characteristic.addEventListener('characteristicvaluechanged', this.boundHandleValueChanged);
+    this.log('Notifications started', 'success');
+  }
+  
+  async close() {
+    const device = this.device;
+    this.device = null;
+    
+    if (device && device.removeEventListener) {
+      device.removeEventListener('gattserverdisconnected', this.boundHandleDisconnect);
+    }
+    
+    if (device && device.gatt && device.gatt.connected) {
+      await device.gatt.disconnect();
+    }
+    
+    this.resetGattState();
+  }
+  
+  /**
+   * Write a frame, retrying while the GATT queue is busy
+   */
+  async write(bytes) {
+    if (!this.characteristic) {
+      throw new Error('Not connected');
+    }
+    
+    let retries = 0;
+    while (retries <= this.gattMaxRetries) {
+      try {
+        await this.characteristic.writeValueWithoutResponse(bytes);
+        return;
+      } catch (error) {
+        if (error.name === 'NetworkError' && error.message.includes('GATT operation') && retries < this.gattMaxRetries) {
+          this.log(`GATT busy, retrying send (${retries + 1}/${this.gattMaxRetries})...`, 'info');
+          await new Promise(resolve => setTimeout(resolve, this.gattRetryDelay));
+          retries++;
+        } else {
+          throw error;
+        }
+      }
+    }
+  }
+  
+  isOpen() {
+    return !!(this.characteristic && this.device && this.device.gatt && this.device.gatt.connected);
+  }
+  
+  handleValueChanged(event) {
+    const value = event.target.value;
+    if (!value || value.byteLength === 0) return;
+    this.emitNotification(new Uint8Array(value.buffer, value.byteOffset, value.byteLength), event);
+  }
+  
+  handleGattDisconnect() {
+    this.resetGattState();
+    this.emitDisconnect();
+  }
+  
+  resetGattState() {
+    if (this.characteristic && this.characteristic.removeEventListener) {
+      this.characteristic.removeEventListener('characteristicvaluechanged', this.boundHandleValueChanged);
+    }
+    this.gattServer = null;
+    this.service = null;
+    this.characteristic = null;
+  }
+}
+
 class OpenDisplayBLE {
   constructor(options = {}) {
     // Configuration
@@ -19,19 +246,38 @@ class OpenDisplayBLE {
     this.reconnectDelay = options.reconnectDelay || 2000;
     this.gattRetryDelay = options.gattRetryDelay || 150;
     this.gattMaxRetries = options.gattMaxRetries || 2;
+    // Default time to wait for a device response (ms), see trackOperation()
+    this.commandTimeout = options.commandTimeout || 10000;
+    // Whether the device acks every config write frame (see writeConfig()):
+    // true or false skips the check made on the first chunked write
+    this.configWriteChunkAcks = options.configWriteChunkAcks !== undefined ? options.configWriteChunkAcks : null;
+    this.detectedChunkAcks = null;      // Result of that check, until disconnect
+    
+    // Transport (defaults to Web Bluetooth)
+    this.transport = options.transport || new WebBluetoothTransport({
+      serviceUUID: this.serviceUUID,
+      characteristicUUID: this.characteristicUUID,
+      gattRetryDelay: this.gattRetryDelay,
+      gattMaxRetries: this.gattMaxRetries
+    });
+    this.transport.onLog = (message, type) => this.log(message, type);
+    this.transport.onNotification = (bytes, rawEvent) => this.handleNotification(bytes, rawEvent);
+    this.transport.onDisconnect = () => this.handleDisconnect();
     
     // State
-    this.device = null;
-    this.gattServer = null;
-    this.service = null;
-    this.characteristic = null;
+    this.device = null;  // { name, id } as reported by the transport
     this.isConnected = false;
     this.reconnectAttempts = 0;
     this.reconnectTimer = null;
     this.configYAML = null;
+    this.protocolSpec = null;  // Full ble_proto section from YAML
+    this.schemaRegistry = {};  // Known schema revisions by "major.minor" (see registerSchema())
     this.packetSchema = null;  // Parsed packet schema from YAML
     this.packetSizes = {};     // Cached packet sizes
     this.packetFieldOffsets = {};  // Cached field offsets per packet type
+    this.schemaLint = null;    // Result of lintSchema() for the loaded YAML
+    // Pin capability lookup (see js/pin-database.js), used by validateConfig() for pin warnings
+    this.pinWarning = options.pinWarning || (typeof getPinWarning === 'function' ? getPinWarning : null);
     
     // Callbacks
     this.onConnect = options.onConnect || null;
@@ -43,6 +289,7 @@ class OpenDisplayBLE {
     this.onFirmwareVersion = options.onFirmwareVersion || null;
     this.onCommandAck = options.onCommandAck || null;
     this.onCommandError = options.onCommandError || null;
+    this.onQueueChange = options.onQueueChange || null;
     
     // Built-in handlers
     this.configReadState = {
@@ -51,7 +298,7 @@ class OpenDisplayBLE {
       receivedLength: 0,
       chunks: {},
       expectedChunks: 0,
-      onComplete: null,
+      operation: null,
       onProgress: null
     };
     
@@ -72,21 +319,49 @@ class OpenDisplayBLE {
     
     this.firmwareVersionState = {
       active: false,
-      onComplete: null
+      operation: null
     };
     
     this.configWriteState = {
       active: false,
-      onComplete: null
+      operation: null
+    };
+    
+    // Operations waiting for a device response (see trackOperation())
+    this.pendingOperations = new Set();
+    
+    // High-level device operations, run one at a time (see enqueueOperation())
+    this.operationQueue = {
+      active: null,
+      queued: [],
+      nextId: 1
     };
     
+    // Opcode registry and response handlers, filled from the YAML commands
+    // and notifications sections (see loadCommandSpec())
+    this.commandOpcodes = new Map();    // Frame ID -> { id, name, request, minFirmware }
+    this.responseOpcodes = new Map();   // Frame ID -> { id, name, decode }
+    this.responseHandlers = new Map();  // Response name -> [{ handler, owner }]
+    this.commands = {};                 // Generated command methods, e.g. commands.configRead()
+    this.firmwareVersion = null;        // Last firmware version read, for min_firmware checks
+    this.registerBuiltinHandlers();
+    this.commandTableLoad = null;       // See loadCommandTable()
+    
     // Load YAML config for forward compatibility
+    // YAML text can be passed in directly (e.g. when running under Node)
+    if (options.configYAMLText) {
+      this.loadYAMLText(options.configYAMLText, options.previousProtocolSpec || null);
+      this.configLoaded = Promise.resolve();
+      return;
+    }
     // Default to static absolute URL
     const defaultPath = '../firmware/config/config.yaml';
     // Delay loading to ensure js-yaml script has time to load
     // Scripts load asynchronously, so we need to wait for them
+    let configLoadedResolve;
+    this.configLoaded = new Promise(resolve => { configLoadedResolve = resolve; });
     const loadConfig = () => {
-      this.loadYAMLConfig(options.configYAMLPath || defaultPath);
+      this.loadYAMLConfig(options.configYAMLPath || defaultPath).then(configLoadedResolve);
     };
     
     if (typeof window !== 'undefined') {
@@ -187,6 +462,14 @@ class OpenDisplayBLE {
       else if (typeof jsYAML !== 'undefined') {
         jsyamlObj = jsYAML;
       }
+      // Check CommonJS (Node)
+      else if (typeof require === 'function') {
+        try {
+          jsyamlObj = require('./js-yaml.min.js');
+        } catch (e) {
+          jsyamlObj = null;
+        }
+      }
       
       if (jsyamlObj && jsyamlObj.load) {
         yamlLoader = jsyamlObj.load;
@@ -197,6 +480,7 @@ class OpenDisplayBLE {
           const doc = yamlLoader(yamlText);
           if (doc && doc.ble_proto && doc.ble_proto.packet_types) {
             this.log(`Using jsyaml parser, found ${Object.keys(doc.ble_proto.packet_types).length} packet types`, 'info');
+            this.protocolSpec = doc.ble_proto;
             return doc.ble_proto.packet_types;
           } else {
             this.log('jsyaml loaded but packet_types not found in YAML structure', 'warning');
@@ -223,1291 +507,3504 @@ class OpenDisplayBLE {
   }
   
   /**
-   * Load YAML configuration and parse packet schema
+   * Lint a ble_proto schema for internal consistency
+   * Checks packet IDs, field names and sizes, enum/bits ranges and
+   * conditional_enum dependencies. When a previous schema is given, packet
+   * layouts are compared against it to flag layout-breaking edits.
+   * @param {Object} spec - ble_proto section (must contain packet_types)
+   * @param {Object} previousSpec - Optional earlier ble_proto to compare layouts against
+   * @returns {Object} { errors: [{ path, message }], warnings: [{ path, message }] }
    */
-  async loadYAMLConfig(path) {
-    try {
-      // Wait for jsyaml to load if scripts are loading asynchronously
-      // js-yaml.min.js exposes jsyaml globally, but scripts load async
-      if (typeof jsyaml === 'undefined' && typeof window !== 'undefined') {
-        // Check if js-yaml script is in the DOM
-        const jsyamlScript = document.querySelector('script[src*="js-yaml"], script[src*="jsyaml"]');
-        if (jsyamlScript) {
-          // Script is in DOM but might not be loaded yet - wait for it
-          this.log('js-yaml script found in DOM, waiting for it to load...', 'info');
-          let attempts = 0;
-          while (attempts < 50 && typeof jsyaml === 'undefined') {
-            // Check all possible scopes
-            if (typeof window.jsyaml !== 'undefined' || 
-                typeof globalThis !== 'undefined' && typeof globalThis.jsyaml !== 'undefined' ||
-                typeof self !== 'undefined' && typeof self.jsyaml !== 'undefined') {
-              break;
-            }
-            await this.delay(100);
-            attempts++;
-          }
-          if (typeof jsyaml !== 'undefined' || 
-              (typeof window !== 'undefined' && typeof window.jsyaml !== 'undefined') ||
-              (typeof globalThis !== 'undefined' && typeof globalThis.jsyaml !== 'undefined')) {
-            this.log('jsyaml loaded after waiting', 'info');
-          } else {
-            this.log('jsyaml still not available after waiting 5 seconds, will use basic parser', 'warning');
-          }
+  lintSchema(spec, previousSpec = null) {
+    const errors = [];
+    const warnings = [];
+    const error = (path, message) => errors.push({ path, message });
+    const warning = (path, message) => warnings.push({ path, message });
+    
+    if (!spec || typeof spec.packet_types !== 'object' || spec.packet_types === null) {
+      error('ble_proto.packet_types', 'missing packet_types section');
+      return { errors, warnings };
+    }
+    
+    const seenIds = {};
+    const seenNames = {};
+    for (const [key, packetDef] of Object.entries(spec.packet_types)) {
+      const path = `packet_types[${key}]`;
+      const packetId = /^0x/i.test(key) ? parseInt(key, 16) : parseInt(key, 10);
+      if (isNaN(packetId) || packetId < 0 || packetId > 0xFF || !/^(0x[0-9a-f]+|\d+)$/i.test(key)) {
+        error(path, `packet ID "${key}" is not an integer between 0 and 255`);
+      } else if (seenIds[packetId] !== undefined) {
+        error(path, `duplicate packet ID ${packetId} (also defined as packet_types[${seenIds[packetId]}])`);
+      } else {
+        seenIds[packetId] = key;
+      }
+      
+      if (!packetDef || typeof packetDef !== 'object') {
+        error(path, 'packet definition is empty');
+        continue;
+      }
+      if (!packetDef.name) {
+        error(`${path}.name`, 'packet has no name');
+      } else if (seenNames[packetDef.name] !== undefined) {
+        error(`${path}.name`, `duplicate packet name "${packetDef.name}" (also used by packet_types[${seenNames[packetDef.name]}])`);
+      } else {
+        seenNames[packetDef.name] = key;
+      }
+      if (!Array.isArray(packetDef.fields) || packetDef.fields.length === 0) {
+        error(`${path}.fields`, 'packet has no fields');
+        continue;
+      }
+      
+      const fieldIndex = {};
+      packetDef.fields.forEach((field, index) => {
+        const fieldPath = `${path}.fields[${index}]${field && field.name ? ` (${field.name})` : ''}`;
+        if (!field || !field.name) {
+          error(fieldPath, 'field has no name');
+          return;
+        }
+        if (fieldIndex[field.name] !== undefined) {
+          error(fieldPath, `duplicate field name "${field.name}" (also fields[${fieldIndex[field.name]}])`);
         } else {
-          // Script not in DOM - list all script tags for debugging
-          if (typeof document !== 'undefined') {
-            const allScripts = Array.from(document.querySelectorAll('script[src]')).map(s => s.src);
-            this.log(`js-yaml script not found in DOM. Available scripts: ${allScripts.join(', ')}`, 'info');
-          } else {
-            this.log('js-yaml script not found in DOM (document not available), will use basic parser', 'info');
+          fieldIndex[field.name] = index;
+        }
+        
+        const size = this.parseSizeToken(field.size);
+        if (size === null) {
+          if (field.size !== 'variable') {
+            error(`${fieldPath}.size`, `invalid size "${field.size}"`);
+          } else if (index !== packetDef.fields.length - 1) {
+            error(`${fieldPath}.size`, 'variable size field must be the last field of the packet');
           }
+          return;
+        }
+        if (size <= 0) {
+          error(`${fieldPath}.size`, `size must be positive, got ${size}`);
+          return;
         }
-      }
-      
-      const response = await fetch(path);
-      if (response.ok) {
-        const text = await response.text();
-        this.configYAML = text;
         
-        // Parse packet types from YAML
-        const packetTypes = this.parseYAMLBasic(text);
-        if (packetTypes) {
-          this.packetSchema = packetTypes;
-          
-          // Calculate and cache packet sizes and offsets
-          for (const [packetIdStr, packetDef] of Object.entries(packetTypes)) {
-            const packetId = parseInt(packetIdStr, 10);
-            if (isNaN(packetId)) {
-              this.log(`Skipping invalid packet ID: ${packetIdStr}`, 'warning');
-              continue;
+        if (field.pin !== undefined && field.pin !== true && field.pin !== 'shared' && field.pin !== 'bus') {
+          error(`${fieldPath}.pin`, `unknown pin attribute "${field.pin}" (expected true, shared or bus)`);
+        }
+        if (field.secret !== undefined && typeof field.secret !== 'boolean') {
+          error(`${fieldPath}.secret`, `secret must be true or false, got "${field.secret}"`);
+        }
+        if (field.type !== undefined && field.type !== 'string' && field.type !== 'bytes') {
+          error(`${fieldPath}.type`, `unknown type "${field.type}" (expected string or bytes)`);
+        }
+        if (field.endian !== undefined && field.endian !== 'big' && field.endian !== 'little') {
+          error(`${fieldPath}.endian`, `unknown endian "${field.endian}" (expected big or little)`);
+        }
+        
+        const maxValue = size > 4 ? Number.MAX_SAFE_INTEGER : Math.pow(2, size * 8) - 1;
+        const checkEnum = (values, enumPath) => {
+          for (const valueKey of Object.keys(values || {})) {
+            const value = Number(valueKey);
+            if (!Number.isInteger(value) || value < 0 || value > maxValue) {
+              error(`${enumPath}[${valueKey}]`, `enum value ${valueKey} does not fit in ${size} byte(s)`);
             }
-            const size = this.calculatePacketSize(packetDef);
-            if (size !== null) {
-              this.packetSizes[packetId] = size;
+          }
+        };
+        if (field.enum) {
+          checkEnum(field.enum, `${fieldPath}.enum`);
+        }
+        if (field.bits) {
+          for (const bitKey of Object.keys(field.bits)) {
+            const bit = Number(bitKey);
+            if (!Number.isInteger(bit) || bit < 0 || bit >= size * 8) {
+              error(`${fieldPath}.bits[${bitKey}]`, `bit ${bitKey} is outside the ${size * 8}-bit field`);
             }
-            this.packetFieldOffsets[packetId] = this.calculateFieldOffsets(packetDef);
           }
-          
-          this.log(`YAML config loaded: ${Object.keys(packetTypes).length} packet types, ${Object.keys(this.packetSizes).length} with fixed sizes`, 'info');
-          this.log(`Loaded packet IDs (hex): ${Object.keys(this.packetSizes).map(k => '0x' + parseInt(k).toString(16)).join(', ')}`, 'info');
-        } else {
-          this.log('YAML config loaded but packet_types could not be parsed', 'warning');
         }
-      } else {
-        this.log(`Could not load YAML config: HTTP ${response.status}`, 'warning');
-      }
-    } catch (error) {
-      this.log(`Could not load YAML config: ${error.message}`, 'warning');
+        if (field.conditional_enum) {
+          const dependsOn = field.conditional_enum.depends_on;
+          if (!dependsOn) {
+            error(`${fieldPath}.conditional_enum.depends_on`, 'conditional_enum has no depends_on');
+          } else if (fieldIndex[dependsOn] === undefined) {
+            const later = packetDef.fields.findIndex(f => f && f.name === dependsOn);
+            if (later === -1) {
+              error(`${fieldPath}.conditional_enum.depends_on`, `depends_on field "${dependsOn}" does not exist in ${packetDef.name || key}`);
+            } else {
+              warning(`${fieldPath}.conditional_enum.depends_on`, `depends_on field "${dependsOn}" is defined after this field`);
+            }
+          }
+          for (const [depValue, values] of Object.entries(field.conditional_enum.values || {})) {
+            checkEnum(values, `${fieldPath}.conditional_enum.values[${depValue}]`);
+          }
+        }
+      });
+    }
+    
+    this.lintMigrations(spec, error, warning);
+    this.lintCommands(spec, error, warning);
+    
+    if (previousSpec && previousSpec.packet_types) {
+      this.compareSchemaLayouts(spec, previousSpec, error, warning);
     }
+    
+    return { errors, warnings };
   }
   
   /**
-   * Logging helper
+   * Check the `migrations` rules of a schema (used by lintSchema)
    */
-  log(message, type = 'info') {
-    if (this.onLog) {
-      this.onLog(message, type);
-    } else {
-      console.log(`[BLE ${type.toUpperCase()}] ${message}`);
+  lintMigrations(spec, error, warning) {
+    if (spec.migrations === undefined) return;
+    if (!Array.isArray(spec.migrations)) {
+      error('migrations', 'migrations must be a list');
+      return;
     }
+    const current = this.schemaVersionKey(spec);
+    const findPacket = (ref) => Object.entries(spec.packet_types)
+      .find(([key, def]) => String(key) === String(ref) || (def && def.name === ref));
+    
+    spec.migrations.forEach((rule, index) => {
+      const path = `migrations[${index}]`;
+      if (typeof rule.from !== 'string' || typeof rule.to !== 'string') {
+        error(path, 'from and to must be quoted "major.minor" versions');
+        return;
+      }
+      if (this.compareSchemaVersions(rule.from, rule.to) >= 0) {
+        error(path, `from ${rule.from} is not older than to ${rule.to}`);
+      }
+      if (this.compareSchemaVersions(rule.to, current) > 0) {
+        warning(path, `to ${rule.to} is newer than the schema version ${current}`);
+      }
+      if (rule.from_schema !== undefined && typeof rule.from_schema !== 'string') {
+        error(`${path}.from_schema`, 'from_schema must be a path relative to this file');
+      }
+      (rule.changes || []).forEach((change, changeIndex) => {
+        const changePath = `${path}.changes[${changeIndex}]`;
+        const packet = findPacket(change.packet);
+        if (!packet) {
+          error(`${changePath}.packet`, `unknown packet "${change.packet}"`);
+          return;
+        }
+        const fieldNames = (packet[1].fields || []).map(f => f && f.name);
+        const kinds = ['rename', 'split', 'remove', 'default'].filter(kind => change[kind] !== undefined);
+        if (kinds.length !== 1) {
+          error(changePath, 'change must have exactly one of rename, split, remove or default');
+          return;
+        }
+        const targets = change.rename ? [change.to] : change.split ? (change.into || []) : change.default ? [change.default] : [];
+        if (change.rename && !change.to) error(changePath, 'rename needs a to field');
+        if (change.split && !(change.into || []).length) error(changePath, 'split needs an into list');
+        for (const target of targets) {
+          if (target && !fieldNames.includes(target)) {
+            warning(changePath, `field "${target}" does not exist in ${packet[1].name}`);
+          }
+        }
+      });
+    });
   }
   
   /**
-   * Status update helper
+   * Check the `commands` and `notifications` sections of a schema (used by lintSchema)
    */
-  setStatus(message, isConnected = false) {
-    this.isConnected = isConnected;
-    if (this.onStatusChange) {
-      this.onStatusChange(message, isConnected);
-    }
-  }
-  
-  /**
-   * Request device and connect
-   */
-  async connect(deviceNamePrefix = null) {
-    if (this.isConnected && this.device && this.device.gatt && this.device.gatt.connected) {
-      this.log('Already connected', 'info');
-      return true;
-    }
-    
-    const prefix = deviceNamePrefix || this.deviceNamePrefix;
-    if (!prefix) {
-      throw new Error('Device name prefix required');
+  lintCommands(spec, error, warning) {
+    if (spec.commands === undefined && spec.notifications === undefined) return;
+    if (!Array.isArray(spec.commands) || (spec.notifications !== undefined && !Array.isArray(spec.notifications))) {
+      error('commands', 'commands and notifications must be lists');
+      return;
     }
     
-    const deviceOptions = {
-      optionalServices: [this.serviceUUID],
-      filters: prefix.split(',').map(p => p.trim()).filter(p => p).map(p => ({
-        namePrefix: p
-      }))
+    const commandIds = {};
+    const commandNames = {};
+    const responseIds = {};
+    const responseNames = {};
+    const references = [];
+    const checkId = (value, path) => {
+      if (!Number.isInteger(value) || value < 0 || value > 0xFFFF) {
+        error(`${path}.id`, `id ${value} is not a 16-bit frame ID`);
+        return false;
+      }
+      return true;
+    };
+    const checkFields = (fields, path, request) => {
+      if (fields === undefined) return;
+      if (!Array.isArray(fields)) {
+        error(path, 'fields must be a list');
+        return;
+      }
+      const seen = {};
+      fields.forEach((field, index) => {
+        const fieldPath = `${path}[${index}]${field && field.name ? ` (${field.name})` : ''}`;
+        if (!field || !field.name) {
+          error(fieldPath, 'field has no name');
+          return;
+        }
+        if (seen[field.name] !== undefined) {
+          error(fieldPath, `duplicate field name "${field.name}"`);
+        }
+        const size = this.parseSizeToken(field.size);
+        if (size === null && field.size !== 'variable') {
+          error(`${fieldPath}.size`, `invalid size "${field.size}"`);
+        } else if (size === null && !field.length_field && index !== fields.length - 1) {
+          error(`${fieldPath}.size`, 'variable size field without length_field must be the last field');
+        }
+        for (const [attribute, target] of [['length_field', field.length_field], ['present_if', field.present_if && field.present_if.field]]) {
+          if (field[attribute] !== undefined && seen[target] === undefined) {
+            error(`${fieldPath}.${attribute}`, `"${target}" is not an earlier field`);
+          }
+        }
+        if (field.optional !== undefined && !request) {
+          warning(`${fieldPath}.optional`, 'optional only applies to request fields, use present_if in responses');
+        }
+        seen[field.name] = index;
+      });
+    };
+    const checkResponse = (response, path) => {
+      if (typeof response === 'string') {
+        references.push({ name: response, path });
+        return;
+      }
+      if (!response || !response.name) {
+        error(path, 'response needs a name (or is the name of a response defined elsewhere)');
+        return;
+      }
+      if (responseNames[response.name] !== undefined) {
+        error(`${path}.name`, `duplicate response name "${response.name}" (also ${responseNames[response.name]})`);
+      } else {
+        responseNames[response.name] = path;
+      }
+      if (checkId(response.id, path)) {
+        if (responseIds[response.id] !== undefined) {
+          error(`${path}.id`, `duplicate response ID 0x${this.opcodeHex(response.id)} (also ${responseIds[response.id]})`);
+        } else {
+          responseIds[response.id] = path;
+        }
+      }
+      checkFields(response.fields, `${path}.fields`, false);
     };
     
-    if (deviceOptions.filters.length === 0) {
-      throw new Error('No valid device filters');
-    }
+    (spec.notifications || []).forEach((response, index) => checkResponse(response, `notifications[${index}]`));
+    spec.commands.forEach((command, index) => {
+      const path = `commands[${index}]${command && command.name ? ` (${command.name})` : ''}`;
+      if (!command || !command.name) {
+        error(path, 'command has no name');
+        return;
+      }
+      if (commandNames[command.name] !== undefined) {
+        error(`${path}.name`, `duplicate command name "${command.name}"`);
+      }
+      commandNames[command.name] = index;
+      if (checkId(command.id, path)) {
+        if (commandIds[command.id] !== undefined) {
+          error(`${path}.id`, `duplicate command ID 0x${this.opcodeHex(command.id)} (also commands[${commandIds[command.id]}])`);
+        }
+        commandIds[command.id] = index;
+      }
+      if (command.min_firmware !== undefined &&
+          (typeof command.min_firmware !== 'string' || !/^\d+\.\d+$/.test(command.min_firmware))) {
+        error(`${path}.min_firmware`, 'min_firmware must be a quoted "major.minor" version');
+      }
+      checkFields(command.request && command.request.fields, `${path}.request.fields`, true);
+      (command.responses || []).forEach((response, responseIndex) => checkResponse(response, `${path}.responses[${responseIndex}]`));
+    });
     
-    try {
-      this.log(`Requesting device with filters: ${JSON.stringify(deviceOptions.filters)}`, 'info');
-      this.setStatus('Requesting device...', false);
-      
-      this.device = await navigator.bluetooth.requestDevice(deviceOptions);
-      this.log(`Found: ${this.device.name || 'Unknown device'} (${this.device.id})`, 'success');
-      this.setStatus(`Found ${this.device.name || 'device'}`, false);
-      
-      this.device.addEventListener('gattserverdisconnected', () => this.handleDisconnect());
-      
-      return await this.connectToGATT();
-    } catch (error) {
-      if (error.name === 'NotFoundError' || error.name === 'AbortError') {
-        this.log('No device selected/found', 'error');
-        this.setStatus('No device selected', false);
-        throw new Error('Device selection cancelled or not found');
+    for (const reference of references) {
+      if (responseNames[reference.name] === undefined) {
+        error(reference.path, `unknown response "${reference.name}"`);
       }
-      this.handleError(error);
-      throw error;
     }
   }
   
   /**
-   * Connect to GATT server
+   * Compare packet layouts of two schema versions (used by lintSchema)
+   * Size or offset changes of existing packets break older parsers, which
+   * locate packets by their fixed size.
    */
-  async connectToGATT() {
-    if (!this.device) {
-      throw new Error('No device selected');
-    }
-    
-    if (this.device.gatt && this.device.gatt.connected) {
-      this.log('Already connected to GATT', 'info');
-      return true;
-    }
-    
-    try {
-      this.log(`Connecting to GATT Server on: ${this.device.name || this.device.id}...`, 'info');
-      this.setStatus('Connecting...', false);
-      
-      this.gattServer = await this.device.gatt.connect();
-      this.log('GATT Server connected', 'success');
-      
-      this.service = await this.gattServer.getPrimaryService(this.serviceUUID);
-      this.log(`Service 0x${this.serviceUUID.toString(16)} found`, 'success');
-      
-      this.characteristic = await this.service.getCharacteristic(this.characteristicUUID);
-      this.log(`Characteristic 0x${this.characteristicUUID.toString(16)} found`, 'success');
-      
-      await this.characteristic.startNotifications();
-      this.characteristic.addEventListener('characteristicvaluechanged', (event) => this.handleNotification(event));
-      this.log('Notifications started', 'success');
-      
-      this.isConnected = true;
-      this.reconnectAttempts = 0;
-      this.setStatus('Connected', true);
+  compareSchemaLayouts(spec, previousSpec, error, warning) {
+    const sameMajor = (spec.version || 1) === (previousSpec.version || 1);
+    const report = sameMajor ? error : warning;
+    const versionLabel = `v${previousSpec.version || 1}.${previousSpec.minor_version || 0}`;
+    
+    for (const [key, previousDef] of Object.entries(previousSpec.packet_types)) {
+      const path = `packet_types[${key}]`;
+      const currentDef = spec.packet_types[key];
+      if (!currentDef) {
+        report(path, `packet ${previousDef.name || key} was removed (present in ${versionLabel})`);
+        continue;
+      }
+      if (!Array.isArray(currentDef.fields) || !Array.isArray(previousDef.fields)) continue;
       
-      if (this.onConnect) {
-        this.onConnect();
+      const previousSize = this.calculatePacketSize(previousDef);
+      const currentSize = this.calculatePacketSize(currentDef);
+      if (previousSize !== currentSize) {
+        report(path, `packet size changed from ${previousSize} to ${currentSize} bytes compared to ${versionLabel}`);
       }
       
-      return true;
-    } catch (error) {
-      this.handleError(error);
-      throw error;
+      const previousOffsets = this.calculateFieldOffsets(previousDef);
+      const currentOffsets = this.calculateFieldOffsets(currentDef);
+      for (const [fieldName, offset] of Object.entries(previousOffsets)) {
+        if (currentOffsets[fieldName] === undefined) {
+          if (!fieldName.startsWith('reserved')) {
+            warning(`${path}.fields (${fieldName})`, `field "${fieldName}" was removed or renamed compared to ${versionLabel}`);
+          }
+        } else if (currentOffsets[fieldName] !== offset) {
+          report(`${path}.fields (${fieldName})`, `field "${fieldName}" moved from offset ${offset} to ${currentOffsets[fieldName]} compared to ${versionLabel}`);
+        }
+      }
     }
   }
   
   /**
-   * Disconnect from device
+   * Parse a schema version ("1.1", 1 or { version, minor_version }) to [major, minor]
    */
-  async disconnect() {
-    if (this.reconnectTimer) {
-      clearTimeout(this.reconnectTimer);
-      this.reconnectTimer = null;
-    }
-    
-    if (this.device && this.device.removeEventListener) {
-      this.device.removeEventListener('gattserverdisconnected', this.handleDisconnect);
-    }
-    
-    if (this.device && this.device.gatt && this.device.gatt.connected) {
-      try {
-        await this.device.gatt.disconnect();
-      } catch (error) {
-        this.log(`Error during disconnect: ${error.message}`, 'warning');
-      }
-    }
-    
-    this.resetState();
-    this.setStatus('Disconnected', false);
-    
-    if (this.onDisconnect) {
-      this.onDisconnect();
+  parseSchemaVersion(value) {
+    if (value && typeof value === 'object') {
+      return [parseInt(value.version, 10) || 1, parseInt(value.minor_version, 10) || 0];
     }
+    const [major, minor] = String(value).split('.');
+    return [parseInt(major, 10) || 0, parseInt(minor, 10) || 0];
   }
   
   /**
-   * Handle disconnection event
+   * Compare two schema versions (any form accepted by parseSchemaVersion)
+   * @returns {number} <0 if a is older, 0 if equal, >0 if a is newer
    */
-  handleDisconnect() {
-    this.log('Device disconnected', 'warning');
-    this.resetState();
-    this.setStatus('Disconnected', false);
-    
-    if (this.onDisconnect) {
-      this.onDisconnect();
-    }
-    
-    // Attempt reconnection if we have a device and haven't exceeded max attempts
-    if (this.device && this.reconnectAttempts < this.maxReconnectAttempts) {
-      this.reconnectAttempts++;
-      const delay = this.reconnectDelay * this.reconnectAttempts;
-      this.log(`Connection lost. Retrying (${this.reconnectAttempts}/${this.maxReconnectAttempts}) in ${delay}ms...`, 'info');
-      this.setStatus(`Reconnecting ${this.reconnectAttempts}/${this.maxReconnectAttempts}...`, false);
-      
-      this.reconnectTimer = setTimeout(() => {
-        this.connectToGATT().catch(error => {
-          if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-            this.log('Reconnection failed after max attempts', 'error');
-            this.setStatus('Connection failed', false);
-            this.device = null;
-          }
-        });
-      }, delay);
-    } else {
-      if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-        this.log('Max reconnection attempts reached', 'error');
-        this.setStatus('Connection failed', false);
-      }
-      this.device = null;
-    }
+  compareSchemaVersions(a, b) {
+    const [aMajor, aMinor] = this.parseSchemaVersion(a);
+    const [bMajor, bMinor] = this.parseSchemaVersion(b);
+    return aMajor !== bMajor ? aMajor - bMajor : aMinor - bMinor;
   }
   
   /**
-   * Reset internal state
+   * Version key ("major.minor") of a ble_proto spec
    */
-  resetState() {
-    this.gattServer = null;
-    this.service = null;
-    this.characteristic = null;
-    this.isConnected = false;
-    this.configReadState.active = false;
-    this.configReadState.chunks = {};
-    this.configReadState.receivedLength = 0;
-    this.configReadState.totalLength = 0;
+  schemaVersionKey(spec) {
+    return this.parseSchemaVersion(spec || {}).join('.');
   }
   
   /**
-   * Send command (Uint8Array)
+   * Register another schema revision so configs written with it can be decoded
+   * The loaded schema registers itself in loadYAMLText().
+   * @param {string|OpenDisplayBLE} source - YAML text or an instance with a loaded schema
+   * @returns {string|null} Version key of the registered schema
    */
-  async sendCommand(cmd) {
-    if (!this.characteristic || !this.isConnected) {
-      throw new Error('Not connected');
+  registerSchema(source) {
+    const codec = typeof source === 'string'
+      ? new OpenDisplayBLE({ configYAMLText: source, onLog: this.onLog })
+      : source;
+    if (!codec || !codec.protocolSpec) {
+      this.log('Cannot register schema: no ble_proto found', 'warning');
+      return null;
     }
-    
-    let retries = 0;
-    while (retries <= this.gattMaxRetries) {
+    const key = this.schemaVersionKey(codec.protocolSpec);
+    if (!this.schemaRegistry[key]) {
+      this.schemaRegistry[key] = codec;
+    }
+    return key;
+  }
+  
+  /**
+   * Load and register the schema files named by `from_schema` in the migrations
+   * Paths are relative to the loaded config.yaml. A schema file only lists the
+   * packet types whose layout differs; the others are taken from the loaded
+   * schema. Files that cannot be loaded are logged and skipped; configs of that
+   * revision then decode with the newest registered minor.
+   * @param {string} baseUrl - URL (file path under Node) config.yaml was loaded from
+   * @returns {Promise<Array<string>>} Version keys of the registered schemas
+   */
+  async registerSchemaFiles(baseUrl) {
+    const rules = ((this.protocolSpec && this.protocolSpec.migrations) || []).filter(rule => rule.from_schema);
+    const keys = [];
+    for (const rule of rules) {
       try {
-        await this.characteristic.writeValueWithoutResponse(cmd);
-        return;
-      } catch (error) {
-        if (error.name === 'NetworkError' && error.message.includes('GATT operation') && retries < this.gattMaxRetries) {
-          this.log(`GATT busy, retrying send (${retries + 1}/${this.gattMaxRetries})...`, 'info');
-          await this.delay(this.gattRetryDelay);
-          retries++;
+        let text;
+        if (typeof window === 'undefined' && typeof require === 'function') {
+          const path = require('path');
+          text = require('fs').readFileSync(path.resolve(path.dirname(baseUrl), rule.from_schema), 'utf8');
         } else {
-          throw error;
+          const response = await fetch(new URL(rule.from_schema, new URL(baseUrl, document.baseURI)).href);
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+          }
+          text = await response.text();
+        }
+        const codec = new OpenDisplayBLE({ configYAMLText: text, onLog: this.onLog });
+        if (codec.protocolSpec) {
+          codec.protocolSpec.packet_types = { ...this.protocolSpec.packet_types, ...codec.protocolSpec.packet_types };
+          codec.indexPacketTypes(codec.protocolSpec.packet_types);
         }
+        const key = this.registerSchema(codec);
+        if (key) keys.push(key);
+      } catch (error) {
+        this.log(`Could not load schema v${rule.from} from ${rule.from_schema}: ${error.message}`, 'warning');
       }
     }
+    return keys;
   }
   
   /**
-   * Send command from hex string
+   * Find the registered schema for a config version
+   * Prefers an exact minor match, then the loaded schema, then the newest
+   * minor of the same major (minor versions are backward compatible).
+   * @param {number} version - Major version (as stored in the config header)
+   * @param {number} minorVersion - Minor version if known
+   * @returns {OpenDisplayBLE|null} Instance holding that schema
    */
-  async sendHexCommand(hexString) {
-    if (hexString.length % 2 !== 0 || hexString.length < 2) {
-      throw new Error(`Invalid hex command format: ${hexString}`);
-    }
-    
-    // Auto-prepend response type if missing
-    if (hexString.length === 2) {
-      hexString = '00' + hexString;
+  findSchema(version, minorVersion = null) {
+    const candidates = Object.entries(this.schemaRegistry)
+      .map(([key, codec]) => ({ version: this.parseSchemaVersion(key), codec }))
+      .filter(candidate => candidate.version[0] === version);
+    if (candidates.length === 0) return null;
+    
+    if (minorVersion !== null) {
+      const exact = candidates.find(candidate => candidate.version[1] === minorVersion);
+      if (exact) return exact.codec;
     }
-    
-    if (hexString.length < 4 || hexString.length % 2 !== 0) {
-      throw new Error(`Invalid command format: ${hexString}`);
+    if (candidates.some(candidate => candidate.codec === this)) return this;
+    candidates.sort((a, b) => b.version[1] - a.version[1]);
+    return candidates[0].codec;
+  }
+  
+  /**
+   * Convert decoded field bytes to the value format used by the builder and JSON exports
+   * Strings become text, byte blocks hex ('0x0' when all zero), numbers '0x..'.
+   */
+  fieldValueFromBytes(fieldDef, bytes) {
+    const decoded = this.decodeField(fieldDef, bytes);
+    if (decoded.type === 'string') return decoded.value;
+    if (decoded.type === 'bytes') {
+      return decoded.raw.every(b => b === 0) ? '0x0'
+        : decoded.raw.map(b => b.toString(16).padStart(2, '0')).join('');
     }
-    
-    const cmd = this.hexToBytes(hexString);
-    const commandIdHex = hexString.substring(0, 4);
-    const payloadHex = hexString.substring(4);
-    const logPayload = payloadHex.length > 40 ? payloadHex.substring(0, 40) + '...' : payloadHex;
-    this.log(`CMD> ${commandIdHex} Payload: ${logPayload} (${payloadHex.length / 2}B)`, 'info');
-    
-    await this.sendCommand(cmd);
+    return '0x' + decoded.value.toString(16);
   }
   
   /**
-   * Handle notification from device
+   * Hex form of an opaque packet payload (see decodeAndMigrateConfig())
    */
-  handleNotification(event) {
-    const value = event.target.value;
-    if (!value || value.byteLength === 0) return;
-    
-    const bytes = new Uint8Array(value.buffer);
-    const hexString = this.bytesToHex(value.buffer);
-    
-    // Built-in config read handler
-    if (this.configReadState.active && this.handleConfigReadNotification(bytes)) {
-      return;
+  payloadToHex(bytes) {
+    return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+  
+  /**
+   * Resolve a packet reference from a migration rule (name or id) to a packet id
+   */
+  resolvePacketId(ref) {
+    if (typeof ref === 'number') return ref;
+    if (/^\d+$/.test(String(ref))) return parseInt(ref, 10);
+    const packetTypes = (this.protocolSpec && this.protocolSpec.packet_types) || {};
+    const entry = Object.entries(packetTypes).find(([, def]) => def && def.name === ref);
+    return entry ? parseInt(entry[0], 10) : null;
+  }
+  
+  /**
+   * Migrate a config to the loaded schema using the YAML `migrations` rules
+   * Rules between the config's version and the loaded version are applied in
+   * order. Rename rules of older revisions are also applied when the config
+   * still uses the old field name.
+   * @param {Object} config - { version, minor_version, packets: [{ id, fields }] }
+   * @returns {Object} { config, changes: [{ packetIndex, packetId, packetName, field, message }], from, to }
+   */
+  migrateConfig(config) {
+    const spec = this.protocolSpec || {};
+    const to = this.schemaVersionKey(spec);
+    const from = config.version !== undefined
+      ? this.parseSchemaVersion({ version: config.version, minor_version: config.minor_version || 0 }).join('.')
+      : to;
+    const packets = (config.packets || []).map(packet => ({ ...packet, fields: { ...(packet.fields || {}) } }));
+    const changes = [];
+    
+    const rules = (spec.migrations || []).slice()
+      .sort((a, b) => this.compareSchemaVersions(a.to, b.to));
+    for (const rule of rules) {
+      // Rules already covered by the config's version only get their renames applied
+      const aliasOnly = this.compareSchemaVersions(rule.to, from) <= 0 || this.compareSchemaVersions(rule.to, to) > 0;
+      for (const change of rule.changes || []) {
+        if (aliasOnly && !change.rename) continue;
+        const packetId = this.resolvePacketId(change.packet);
+        packets.forEach((packet, packetIndex) => {
+          if (parseInt(packet.id, 10) !== packetId) return;
+          const message = this.applyMigrationChange(packetId, packet.fields, change);
+          if (message) {
+            const packetDef = this.getPacketDefinition(packetId);
+            changes.push({
+              packetIndex,
+              packetId,
+              packetName: packetDef ? packetDef.name : `packet ${packetId}`,
+              field: change.rename || change.split || change.remove || change.default,
+              message: `${message} (v${rule.from} → v${rule.to}${rule.description ? ': ' + rule.description : ''})`
+            });
+          }
+        });
+      }
     }
     
-    // Built-in config write ACK handler
-    if (this.configWriteState.active && this.handleConfigWriteNotification(bytes)) {
-      return;
+    const [version, minorVersion] = this.parseSchemaVersion(to);
+    return {
+      config: { ...config, version, minor_version: minorVersion, packets },
+      changes,
+      from,
+      to
+    };
+  }
+  
+  /**
+   * Apply one migration change to a packet's fields (used by migrateConfig)
+   * @returns {string|null} Description of what changed, or null if nothing applied
+   */
+  applyMigrationChange(packetId, fields, change) {
+    const packetDef = this.getPacketDefinition(packetId);
+    const fieldDefs = (packetDef && packetDef.fields) || [];
+    const has = (name) => fields[name] !== undefined;
+    
+    if (change.rename) {
+      if (!has(change.rename) || !change.to) return null;
+      const value = fields[change.rename];
+      delete fields[change.rename];
+      if (has(change.to) && fields[change.to] !== '') {
+        return `${change.rename} dropped, ${change.to} is already set`;
+      }
+      fields[change.to] = value;
+      return `${change.rename} renamed to ${change.to}`;
     }
     
-    // Built-in firmware version handler
-    if (this.firmwareVersionState.active && this.handleFirmwareVersionNotification(bytes)) {
-      return;
+    if (change.split) {
+      const into = change.into || [];
+      if (!has(change.split) || into.some(has)) return null;
+      const oldDef = { name: change.split, size: change.size || 'variable', type: 'bytes' };
+      const bytes = this.encodeField(oldDef, fields[change.split]);
+      let offset = 0;
+      for (const name of into) {
+        const fieldDef = fieldDefs.find(f => f.name === name);
+        const size = fieldDef ? this.parseSizeToken(fieldDef.size) : null;
+        if (!size) continue;
+        const slice = bytes.slice(offset, offset + size);
+        while (slice.length < size) slice.push(0);
+        fields[name] = this.fieldValueFromBytes(fieldDef, slice);
+        offset += size;
+      }
+      const rest = bytes.slice(offset);
+      if (fieldDefs.some(f => f.name === change.split)) {
+        fields[change.split] = rest.every(b => b === 0) ? '0x0' : rest.map(b => b.toString(16).padStart(2, '0')).join('');
+      } else {
+        delete fields[change.split];
+      }
+      return `${change.split} split into ${into.join(', ')}`;
     }
     
-    // Built-in direct write handler
-    if (this.directWriteState && this.directWriteState.active && this.handleDirectWriteNotification(bytes, hexString)) {
-      // Direct write notification was handled - log it for debugging
-      this.log(`BLE< ${hexString}`, 'info');
-      return;
+    if (change.remove) {
+      if (!has(change.remove)) return null;
+      const value = fields[change.remove];
+      delete fields[change.remove];
+      return `${change.remove} removed (was ${value})`;
     }
     
-    // Built-in DFU handler
-    if (this.dfuState.active && this.handleDFUNotification(bytes)) {
-      return;
+    if (change.default) {
+      if (has(change.default)) return null;
+      fields[change.default] = change.value;
+      return `${change.default} added with default ${change.value}`;
     }
     
-    // Built-in generic command handlers
-    if (this.handleGenericCommandNotification(bytes)) {
-      return;
+    return null;
+  }
+  
+  /**
+   * Decode config bytes with the matching schema revision and migrate them
+   * Packets the schema does not know (e.g. written by newer firmware) are kept
+   * as { id, payload } with the payload as hex, so encodeConfig() writes them
+   * back unchanged.
+   * Config bytes only store the major version. Without options.minorVersion
+   * they are decoded with the loaded schema (or the newest registered minor of
+   * another major), so only the rename rules of older minors apply; split and
+   * default rules need the minor the config was written with.
+   * @param {Uint8Array|Array} configBytes - Config as read from the device
+   * @param {Object} options - { minorVersion } when known, e.g. from the firmware version
+   * @returns {Object} { parsed, config, changes, from, to } (see parseConfigBytes/migrateConfig)
+   */
+  decodeAndMigrateConfig(configBytes, options = {}) {
+    const parsed = this.parseConfigBytes(configBytes, { recover: true });
+    const knownMinor = options.minorVersion !== undefined ? options.minorVersion : null;
+    const codec = this.findSchema(parsed.version, knownMinor) || this;
+    const [, minorVersion] = this.parseSchemaVersion(this.schemaVersionKey(codec.protocolSpec));
+    const packets = parsed.packets.map(packet => {
+      const packetDef = codec.getPacketDefinition(packet.id);
+      // Packets this schema does not know are carried along as raw payload
+      if (packet.opaque || !packetDef) {
+        return { id: String(packet.id), name: null, payload: this.payloadToHex(packet.data) };
+      }
+      const fields = {};
+      let offset = 0;
+      for (const fieldDef of (packetDef && packetDef.fields) || []) {
+        const size = codec.parseSizeToken(fieldDef.size);
+        const end = size === null ? packet.data.length : offset + size;
+        fields[fieldDef.name] = codec.fieldValueFromBytes(fieldDef, packet.data.slice(offset, end));
+        offset = end;
+      }
+      return { id: String(packet.id), name: packet.name, fields };
+    });
+    const migration = this.migrateConfig({ version: parsed.version, minor_version: minorVersion, packets });
+    return { parsed, ...migration };
+  }
+  
+  /**
+   * Load YAML configuration and parse packet schema
+   */
+  async loadYAMLConfig(path) {
+    try {
+      // Wait for jsyaml to load if scripts are loading asynchronously
+      // js-yaml.min.js exposes jsyaml globally, but scripts load async
+      if (typeof jsyaml === 'undefined' && typeof window !== 'undefined') {
+        // Check if js-yaml script is in the DOM
+        const jsyamlScript = document.querySelector('script[src*="js-yaml"], script[src*="jsyaml"]');
+        if (jsyamlScript) {
+          // Script is in DOM but might not be loaded yet - wait for it
+          this.log('js-yaml script found in DOM, waiting for it to load...', 'info');
+          let attempts = 0;
+          while (attempts < 50 && typeof jsyaml === 'undefined') {
+            // Check all possible scopes
+            if (typeof window.jsyaml !== 'undefined' || 
+                typeof globalThis !== 'undefined' && typeof globalThis.jsyaml !== 'undefined' ||
+                typeof self !== 'undefined' && typeof self.jsyaml !== 'undefined') {
+              break;
+            }
+            await this.delay(100);
+            attempts++;
+          }
+          if (typeof jsyaml !== 'undefined' || 
+              (typeof window !== 'undefined' && typeof window.jsyaml !== 'undefined') ||
+              (typeof globalThis !== 'undefined' && typeof globalThis.jsyaml !== 'undefined')) {
+            this.log('jsyaml loaded after waiting', 'info');
+          } else {
+            this.log('jsyaml still not available after waiting 5 seconds, will use basic parser', 'warning');
+          }
+        } else {
+          // Script not in DOM - list all script tags for debugging
+          if (typeof document !== 'undefined') {
+            const allScripts = Array.from(document.querySelectorAll('script[src]')).map(s => s.src);
+            this.log(`js-yaml script not found in DOM. Available scripts: ${allScripts.join(', ')}`, 'info');
+          } else {
+            this.log('js-yaml script not found in DOM (document not available), will use basic parser', 'info');
+          }
+        }
+      }
+      
+      const response = await fetch(path);
+      if (response.ok) {
+        const text = await response.text();
+        this.loadYAMLText(text);
+        await this.registerSchemaFiles(path);
+      } else {
+        this.log(`Could not load YAML config: HTTP ${response.status}`, 'warning');
+      }
+    } catch (error) {
+      this.log(`Could not load YAML config: ${error.message}`, 'warning');
+    }
+  }
+  
+  /**
+   * Parse packet schema from YAML text and cache sizes and offsets
+   */
+  loadYAMLText(text, previousSpec = null) {
+    const previous = previousSpec || this.protocolSpec;
+    this.configYAML = text;
+    
+    // Parse packet types from YAML
+    const packetTypes = this.parseYAMLBasic(text);
+    if (!packetTypes) {
+      this.log('YAML config loaded but packet_types could not be parsed', 'warning');
+      return false;
+    }
+    
+    // Lint the schema (and compare layouts with the previously loaded one)
+    this.schemaLint = this.lintSchema(this.protocolSpec, previous);
+    for (const issue of this.schemaLint.errors) {
+      this.log(`Schema error at ${issue.path}: ${issue.message}`, 'error');
+    }
+    for (const issue of this.schemaLint.warnings) {
+      this.log(`Schema warning at ${issue.path}: ${issue.message}`, 'warning');
+    }
+    
+    this.indexPacketTypes(packetTypes);
+    this.loadCommandSpec(this.protocolSpec);
+    this.schemaRegistry[this.schemaVersionKey(this.protocolSpec)] = this;
+    
+    this.log(`YAML config loaded: ${Object.keys(packetTypes).length} packet types, ${Object.keys(this.packetSizes).length} with fixed sizes`, 'info');
+    this.log(`Loaded packet IDs (hex): ${Object.keys(this.packetSizes).map(k => '0x' + parseInt(k).toString(16)).join(', ')}`, 'info');
+    return true;
+  }
+  
+  /**
+   * Use packet types as the packet schema, caching their sizes and field offsets
+   * @param {Object} packetTypes - packet_types section of a ble_proto spec
+   */
+  indexPacketTypes(packetTypes) {
+    this.packetSchema = packetTypes;
+    this.packetSizes = {};
+    this.packetFieldOffsets = {};
+    
+    // Calculate and cache packet sizes and offsets
+    for (const [packetIdStr, packetDef] of Object.entries(packetTypes)) {
+      const packetId = parseInt(packetIdStr, 10);
+      if (isNaN(packetId)) {
+        this.log(`Skipping invalid packet ID: ${packetIdStr}`, 'warning');
+        continue;
+      }
+      const size = this.calculatePacketSize(packetDef);
+      if (size !== null) {
+        this.packetSizes[packetId] = size;
+      }
+      this.packetFieldOffsets[packetId] = this.calculateFieldOffsets(packetDef);
+    }
+  }
+  
+  /**
+   * Logging helper
+   */
+  log(message, type = 'info') {
+    if (this.onLog) {
+      this.onLog(message, type);
+    } else {
+      console.log(`[BLE ${type.toUpperCase()}] ${message}`);
+    }
+  }
+  
+  /**
+   * Status update helper
+   */
+  setStatus(message, isConnected = false) {
+    this.isConnected = isConnected;
+    if (this.onStatusChange) {
+      this.onStatusChange(message, isConnected);
+    }
+  }
+  
+  /**
+   * Request device and connect
+   */
+  async connect(deviceNamePrefix = null) {
+    if (this.isConnected && this.transport.isOpen()) {
+      this.log('Already connected', 'info');
+      return true;
+    }
+    
+    const prefix = deviceNamePrefix || this.deviceNamePrefix;
+    if (!prefix) {
+      throw new Error('Device name prefix required');
+    }
+    
+    const namePrefixes = prefix.split(',').map(p => p.trim()).filter(p => p);
+    if (namePrefixes.length === 0) {
+      throw new Error('No valid device filters');
+    }
+    
+    try {
+      this.setStatus('Requesting device...', false);
+      this.device = await this.transport.open({ namePrefixes });
+      this.setStatus(`Found ${this.device.name || 'device'}`, false);
+      return this.handleTransportOpen();
+    } catch (error) {
+      if (error.name === 'NotFoundError' || error.name === 'AbortError') {
+        this.log('No device selected/found', 'error');
+        this.setStatus('No device selected', false);
+        throw new Error('Device selection cancelled or not found');
+      }
+      this.handleError(error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Re-open the transport to the last device
+   */
+  async reconnect() {
+    if (!this.device) {
+      throw new Error('No device selected');
+    }
+    
+    try {
+      this.setStatus('Connecting...', false);
+      this.device = await this.transport.reopen();
+      return this.handleTransportOpen();
+    } catch (error) {
+      this.handleError(error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Mark the link as usable once the transport is open
+   */
+  handleTransportOpen() {
+    this.isConnected = true;
+    this.reconnectAttempts = 0;
+    this.setStatus('Connected', true);
+    
+    if (this.onConnect) {
+      this.onConnect();
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Disconnect from device
+   */
+  async disconnect() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    
+    // Detach first so the transport's own disconnect event doesn't trigger a reconnect
+    this.device = null;
+    this.isConnected = false;
+    try {
+      await this.transport.close();
+    } catch (error) {
+      this.log(`Error during disconnect: ${error.message}`, 'warning');
+    }
+    
+    this.resetState();
+    this.setStatus('Disconnected', false);
+    
+    if (this.onDisconnect) {
+      this.onDisconnect();
+    }
+  }
+  
+  /**
+   * Handle disconnection event
+   */
+  handleDisconnect() {
+    if (!this.isConnected && !this.device) return;
+    
+    this.log('Device disconnected', 'warning');
+    this.resetState();
+    this.setStatus('Disconnected', false);
+    
+    if (this.onDisconnect) {
+      this.onDisconnect();
+    }
+    
+    // Attempt reconnection if we have a device and haven't exceeded max attempts
+    if (this.device && this.reconnectAttempts < this.maxReconnectAttempts) {
+      this.reconnectAttempts++;
+      const delay = this.reconnectDelay * this.reconnectAttempts;
+      this.log(`Connection lost. Retrying (${this.reconnectAttempts}/${this.maxReconnectAttempts}) in ${delay}ms...`, 'info');
+      this.setStatus(`Reconnecting ${this.reconnectAttempts}/${this.maxReconnectAttempts}...`, false);
+      
+      this.reconnectTimer = setTimeout(() => {
+        this.reconnect().catch(error => {
+          if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+            this.log('Reconnection failed after max attempts', 'error');
+            this.setStatus('Connection failed', false);
+            this.device = null;
+          }
+        });
+      }, delay);
+    } else {
+      if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+        this.log('Max reconnection attempts reached', 'error');
+        this.setStatus('Connection failed', false);
+      }
+      this.device = null;
+    }
+  }
+  
+  /**
+   * Reset internal state
+   */
+  resetState() {
+    this.isConnected = false;
+    this.firmwareVersion = null;
+    this.detectedChunkAcks = null;
+    this.rejectPendingOperations('disconnected', 'Device disconnected');
+    this.rejectQueuedOperations('disconnected', 'Device disconnected');
+    this.configReadState.active = false;
+    this.configReadState.chunks = {};
+    this.configReadState.receivedLength = 0;
+    this.configReadState.totalLength = 0;
+  }
+  
+  /**
+   * Track an operation that waits for a device response
+   * The returned promise settles when a notification handler calls
+   * operation.resolve()/reject(), or rejects by itself on timeout, on
+   * disconnect (see resetState()) and when options.signal is aborted.
+   * Rejection errors carry `code`: 'timeout', 'disconnected', 'aborted' or
+   * 'device' (error response from the tag).
+   * @param {string} name - Operation name used in error messages
+   * @param {Object} options - { timeout (ms, 0 for none), signal (AbortSignal), deferTimeout }
+   *   deferTimeout leaves the timer to operation.startTimeout(), e.g. after a long upload
+   * @returns {Object} operation { name, promise, settled, resolve(value), reject(error), startTimeout(), onSettle, owner }
+   *   (settled is already true when the signal was aborted before the call; owner is the
+   *   queue entry that was running when the operation was tracked, see enqueueOperation())
+   */
+  trackOperation(name, options = {}) {
+    const timeout = options.timeout !== undefined ? options.timeout : this.commandTimeout;
+    const signal = options.signal || null;
+    const operation = { name, settled: false, onSettle: null, owner: this.operationQueue.active };
+    let timer = null;
+    
+    operation.promise = new Promise((resolve, reject) => {
+      const onAbort = () => operation.reject(this.operationError(operation, 'aborted', `${name} aborted`));
+      const settle = (error, value) => {
+        if (operation.settled) return;
+        operation.settled = true;
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+        this.pendingOperations.delete(operation);
+        if (operation.onSettle) operation.onSettle(error);
+        if (error) {
+          reject(error);
+        } else {
+          resolve(value);
+        }
+      };
+      operation.resolve = (value) => settle(null, value);
+      operation.reject = (error) => settle(error);
+      operation.startTimeout = () => {
+        if (operation.settled || !(timeout > 0)) return;
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+          this.log(`${name} timed out after ${timeout}ms`, 'error');
+          operation.reject(this.operationError(operation, 'timeout', `${name} timed out`));
+        }, timeout);
+      };
+      if (signal) {
+        signal.addEventListener('abort', onAbort);
+      }
+    });
+    
+    this.pendingOperations.add(operation);
+    if (signal && signal.aborted) {
+      operation.reject(this.operationError(operation, 'aborted', `${name} aborted`));
+    } else if (!options.deferTimeout) {
+      operation.startTimeout();
+    }
+    return operation;
+  }
+  
+  /**
+   * Error for a failed operation, with `code` and `operation` (name) set
+   */
+  operationError(operation, code, message) {
+    const error = new Error(message);
+    error.code = code;
+    error.operation = operation.name;
+    if (code === 'aborted') error.name = 'AbortError';
+    return error;
+  }
+  
+  /**
+   * Report an operation to a completion callback from the old callback API
+   * (readConfig(), writeConfig(), readFirmwareVersion())
+   * Callback users never handled rejections, so the returned promise
+   * resolves once the callback has run, with or without an error.
+   * @param {string} method - Method name used in logs
+   * @param {Promise} promise - The operation
+   * @param {Function} report - (error, value), maps the outcome onto the old callback arguments
+   * @returns {Promise<void>}
+   */
+  settleLegacyCallback(method, promise, report) {
+    const call = (error, value) => {
+      try {
+        report(error, value);
+      } catch (callbackError) {
+        this.log(`Error in ${method} callback: ${callbackError.message}`, 'error');
+      }
+    };
+    return promise.then(value => call(null, value), error => call(error, undefined));
+  }
+  
+  /**
+   * Reject every operation still waiting for a response
+   * @param {Object} owner - Only reject operations tracked by this queue entry (optional)
+   * @returns {number} Number of operations rejected
+   */
+  rejectPendingOperations(code, message, owner = undefined) {
+    const operations = Array.from(this.pendingOperations)
+      .filter(operation => owner === undefined || operation.owner === owner);
+    for (const operation of operations) {
+      operation.reject(this.operationError(operation, code, `${operation.name} failed: ${message}`));
+    }
+    return operations.length;
+  }
+  
+  /**
+   * Queue a high-level device operation
+   * Operations run one at a time in the order they were queued. While one
+   * runs it owns the notification stream: only the built-in handlers listed
+   * in `owns` see device responses (see ownsNotifications()), so a read
+   * started during an upload cannot pick up the upload's replies.
+   * @param {string} name - Operation name used in logs, errors and getQueueStatus()
+   * @param {Array<string>} owns - Handlers the operation owns: 'configRead',
+   *   'configWrite', 'firmwareVersion', 'directWrite', 'dfu'
+   * @param {Function} run - (signal) => Promise, called when the operation reaches the front;
+   *   signal is aborted when the operation is cancelled while running
+   * @param {Object} options - { signal (AbortSignal), cancels the operation whether queued or running }
+   * @returns {Promise} Settles with the result of run(); rejects with code 'aborted' when
+   *   cancelled and 'disconnected' when the link drops while still queued
+   */
+  enqueueOperation(name, owns, run, options = {}) {
+    const signal = options.signal || null;
+    const entry = {
+      id: this.operationQueue.nextId++,
+      name,
+      owns,
+      run,
+      state: 'queued',
+      queuedAt: Date.now(),
+      startedAt: null,
+      controller: new AbortController(),
+      cancelError: null,
+      signal,
+      onAbort: null
+    };
+    entry.promise = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+    
+    if (signal && signal.aborted) {
+      entry.reject(this.operationError(entry, 'aborted', `${name} aborted`));
+      return entry.promise;
+    }
+    if (signal) {
+      entry.onAbort = () => this.cancelOperation(entry.id);
+      signal.addEventListener('abort', entry.onAbort);
+    }
+    
+    this.operationQueue.queued.push(entry);
+    if (this.operationQueue.active) {
+      this.log(`${name} queued behind ${this.operationQueue.active.name}`, 'info');
+    }
+    this.notifyQueueChange();
+    this.runNextOperation();
+    return entry.promise;
+  }
+  
+  /**
+   * Start the next queued operation if none is running
+   */
+  runNextOperation() {
+    const queue = this.operationQueue;
+    if (queue.active || queue.queued.length === 0) return;
+    
+    const entry = queue.queued.shift();
+    entry.state = 'running';
+    entry.startedAt = Date.now();
+    queue.active = entry;
+    this.notifyQueueChange();
+    
+    let result;
+    try {
+      result = Promise.resolve(entry.run(entry.controller.signal));
+    } catch (error) {
+      result = Promise.reject(error);
+    }
+    // A cancelled operation keeps the stream until run() has actually finished.
+    // The slot is freed before the caller hears back, so it sees an idle queue.
+    const finish = (settle, value) => {
+      if (entry.signal) entry.signal.removeEventListener('abort', entry.onAbort);
+      queue.active = null;
+      this.notifyQueueChange();
+      settle(value);
+      this.runNextOperation();
+    };
+    result.then(
+      value => entry.cancelError ? finish(entry.reject, entry.cancelError) : finish(entry.resolve, value),
+      error => finish(entry.reject, entry.cancelError || error));
+  }
+  
+  /**
+   * Cancel a queued or running operation
+   * A queued operation is dropped; a running one has its signal aborted and
+   * its promise rejected once run() has settled and its slot is free, so
+   * nothing queued behind it starts while it still uses the transport.
+   * @param {number} id - Operation id from getQueueStatus()
+   * @returns {boolean} Whether an operation with that id was found
+   */
+  cancelOperation(id) {
+    const queue = this.operationQueue;
+    const index = queue.queued.findIndex(entry => entry.id === id);
+    if (index !== -1) {
+      const entry = queue.queued.splice(index, 1)[0];
+      if (entry.signal) entry.signal.removeEventListener('abort', entry.onAbort);
+      this.log(`${entry.name} cancelled`, 'warning');
+      entry.reject(this.operationError(entry, 'aborted', `${entry.name} aborted`));
+      this.notifyQueueChange();
+      return true;
+    }
+    
+    const entry = queue.active;
+    if (entry && entry.id === id) {
+      if (entry.cancelError) return true;
+      this.log(`Cancelling ${entry.name}...`, 'warning');
+      entry.cancelError = this.operationError(entry, 'aborted', `${entry.name} aborted`);
+      entry.controller.abort();
+      return true;
+    }
+    return false;
+  }
+  
+  /**
+   * Cancel the running operation and everything queued behind it
+   * @returns {number} Number of operations cancelled
+   */
+  cancelAllOperations() {
+    const ids = this.operationQueue.queued.map(entry => entry.id).reverse();
+    if (this.operationQueue.active) ids.push(this.operationQueue.active.id);
+    return ids.filter(id => this.cancelOperation(id)).length;
+  }
+  
+  /**
+   * Reject every operation still waiting in the queue (the running one is
+   * left to rejectPendingOperations())
+   */
+  rejectQueuedOperations(code, message) {
+    const queued = this.operationQueue.queued.splice(0);
+    if (queued.length === 0) return;
+    for (const entry of queued) {
+      if (entry.signal) entry.signal.removeEventListener('abort', entry.onAbort);
+      entry.reject(this.operationError(entry, code, `${entry.name} failed: ${message}`));
+    }
+    this.notifyQueueChange();
+  }
+  
+  /**
+   * Snapshot of the operation queue for the UI
+   * @returns {Object} { active: { id, name, state, queuedAt, startedAt } | null, queued: [...] }
+   */
+  getQueueStatus() {
+    const describe = entry => ({
+      id: entry.id,
+      name: entry.name,
+      state: entry.state,
+      queuedAt: entry.queuedAt,
+      startedAt: entry.startedAt
+    });
+    return {
+      active: this.operationQueue.active ? describe(this.operationQueue.active) : null,
+      queued: this.operationQueue.queued.map(describe)
+    };
+  }
+  
+  notifyQueueChange() {
+    if (this.onQueueChange) {
+      this.onQueueChange(this.getQueueStatus());
+    }
+  }
+  
+  /**
+   * Whether the running operation owns responses for a built-in handler
+   * @param {string} handler - 'configRead', 'configWrite', 'firmwareVersion', 'directWrite' or 'dfu'
+   */
+  ownsNotifications(handler) {
+    const active = this.operationQueue.active;
+    return !!active && active.owns.indexOf(handler) !== -1;
+  }
+  
+  /**
+   * Send command (Uint8Array)
+   */
+  async sendCommand(cmd) {
+    if (!this.isConnected || !this.transport.isOpen()) {
+      throw new Error('Not connected');
+    }
+    
+    await this.transport.write(cmd);
+  }
+  
+  /**
+   * Send a command from the registry (see loadCommandSpec())
+   * Usually called through the generated methods, e.g. commands.configWrite({ data }).
+   * @param {string} name - Command name from the YAML commands section
+   * @param {Object|Uint8Array|Array} payload - Request field values keyed by field name,
+   *   or the raw payload bytes
+   * @throws {Error} With code 'unsupported' when the device firmware is older than min_firmware
+   */
+  async sendNamedCommand(name, payload = {}) {
+    let command = this.findOpcode('command', name);
+    if (!command) {
+      await this.loadCommandTable();
+      command = this.findOpcode('command', name);
+    }
+    if (!command) {
+      throw new Error(`Unknown command "${name}" (not in the YAML commands section)`);
+    }
+    if (command.minFirmware && this.firmwareVersion) {
+      const deviceVersion = `${this.firmwareVersion.major}.${this.firmwareVersion.minor}`;
+      if (this.compareSchemaVersions(deviceVersion, command.minFirmware) < 0) {
+        const error = new Error(`${name} needs firmware ${command.minFirmware} or newer, the device runs ${deviceVersion}`);
+        error.code = 'unsupported';
+        throw error;
+      }
+    }
+    
+    const body = this.encodeCommandPayload(command, payload);
+    const cmd = new Uint8Array(2 + body.length);
+    cmd[0] = command.id >> 8;
+    cmd[1] = command.id & 0xFF;
+    cmd.set(body, 2);
+    this.logCommand(cmd);
+    await this.sendCommand(cmd);
+  }
+  
+  /**
+   * Encode a command payload from its request fields
+   * Optional fields without a value are left out; the other fields follow
+   * encodeField().
+   */
+  encodeCommandPayload(command, payload) {
+    if (Array.isArray(payload) || payload instanceof Uint8Array) {
+      return Array.from(payload);
+    }
+    const bytes = [];
+    for (const field of command.request) {
+      const value = payload[field.name];
+      if (value === undefined || value === null) {
+        if (field.optional || this.parseSizeToken(field.size) === null) continue;
+        throw new Error(`${command.name}: missing value for ${field.name}`);
+      }
+      bytes.push(...this.encodeField(field, value));
+    }
+    return bytes;
+  }
+  
+  /**
+   * Log an outgoing frame with its command name
+   */
+  logCommand(cmd) {
+    const hexString = this.bytesToHex(cmd).replace(/\s+/g, '');
+    const command = this.commandOpcodes.get((cmd[0] << 8) | cmd[1]);
+    const payloadHex = hexString.substring(4);
+    const logPayload = payloadHex.length > 40 ? payloadHex.substring(0, 40) + '...' : payloadHex;
+    this.log(`CMD> ${hexString.substring(0, 4)} ${command ? command.name : 'unknown'} Payload: ${logPayload} (${payloadHex.length / 2}B)`, 'info');
+  }
+  
+  /**
+   * Send command from hex string
+   */
+  async sendHexCommand(hexString) {
+    if (hexString.length % 2 !== 0 || hexString.length < 2) {
+      throw new Error(`Invalid hex command format: ${hexString}`);
+    }
+    
+    // Auto-prepend response type if missing
+    if (hexString.length === 2) {
+      hexString = '00' + hexString;
+    }
+    
+    if (hexString.length < 4 || hexString.length % 2 !== 0) {
+      throw new Error(`Invalid command format: ${hexString}`);
+    }
+    
+    const cmd = this.hexToBytes(hexString);
+    this.logCommand(cmd);
+    
+    await this.sendCommand(cmd);
+  }
+  
+  /**
+   * Make sure the command table is loaded before a command goes out
+   * Waits for the YAML the constructor loads. When that did not load or has
+   * no commands section, the commands and notifications of the shipped
+   * config.yaml (CONFIG_YAML_URL, next to this script) are loaded instead,
+   * so config.yaml stays the only description of the protocol.
+   * @returns {Promise<boolean>} Whether any commands are registered
+   */
+  loadCommandTable() {
+    if (!this.commandTableLoad) {
+      this.commandTableLoad = (async () => {
+        await this.configLoaded;
+        if (this.commandOpcodes.size > 0) return true;
+        try {
+          let text;
+          if (typeof window === 'undefined' && typeof require === 'function') {
+            const path = require('path');
+            text = require('fs').readFileSync(path.resolve(__dirname, CONFIG_YAML_URL), 'utf8');
+          } else {
+            const pageUrl = typeof document !== 'undefined' ? document.baseURI : undefined;
+            const response = await fetch(new URL(CONFIG_YAML_URL, LIBRARY_SCRIPT_URL || pageUrl).href);
+            if (!response.ok) {
+              throw new Error(`HTTP ${response.status}`);
+            }
+            text = await response.text();
+          }
+          const shipped = new OpenDisplayBLE({ configYAMLText: text, onLog: this.onLog });
+          this.loadCommandSpec(shipped.protocolSpec, 'shipped config.yaml');
+        } catch (error) {
+          this.log(`Could not load the command table from the shipped config.yaml: ${error.message}`, 'error');
+        }
+        // Try again on the next command if nothing could be loaded
+        if (this.commandOpcodes.size === 0) this.commandTableLoad = null;
+        return this.commandOpcodes.size > 0;
+      })();
+    }
+    return this.commandTableLoad;
+  }
+  
+  /**
+   * Load the commands and notifications sections of a ble_proto spec into
+   * the opcode registry and generate a method on this.commands for every
+   * command (config_read becomes commands.configRead(payload)).
+   * Entries are added to what is already registered, replacing those with
+   * the same ID.
+   * @param {Object} spec - ble_proto section
+   * @param {string} source - Where the spec came from, for the log
+   * @returns {boolean} Whether the spec had a commands section
+   */
+  loadCommandSpec(spec, source = 'YAML') {
+    if (!spec || !Array.isArray(spec.commands)) {
+      this.log(`${source} has no commands section, commands will come from the shipped config.yaml`, 'info');
+      return false;
+    }
+    (spec.notifications || []).forEach(response => this.registerOpcode('response', response));
+    for (const command of spec.commands) {
+      this.registerOpcode('command', command);
+      (command.responses || []).forEach(response => {
+        // Plain names refer to a response defined elsewhere
+        if (response && typeof response === 'object') {
+          this.registerOpcode('response', response);
+        }
+      });
+    }
+    this.log(`Loaded ${spec.commands.length} commands from ${source} (${this.commandOpcodes.size} commands and ${this.responseOpcodes.size} responses registered)`, 'info');
+    return true;
+  }
+  
+  /**
+   * Add or replace an opcode in the registry
+   * Registered names show up in the CMD>/BLE< log lines. A command also gets
+   * a method on this.commands; a response gets a decoder built from its
+   * fields unless definition.decode is given.
+   * @param {string} kind - 'command' (host to device) or 'response' (device to host)
+   * @param {Object} definition - { id (16-bit frame ID), name, fields or decode(payload) for responses,
+   *   request: { fields } and min_firmware ("major.minor") for commands }
+   */
+  registerOpcode(kind, definition) {
+    if (kind !== 'command' && kind !== 'response') {
+      throw new Error(`Unknown opcode kind "${kind}"`);
+    }
+    const id = Number(definition.id);
+    if (!Number.isInteger(id) || id < 0 || id > 0xFFFF) {
+      throw new Error(`Invalid opcode ID ${definition.id}`);
+    }
+    if (!definition.name) {
+      throw new Error(`Opcode ${this.opcodeHex(id)} needs a name`);
+    }
+    
+    if (kind === 'response') {
+      const fields = definition.fields || [];
+      const decode = definition.decode ||
+        (fields.length ? (payload) => this.decodeMessageFields(fields, payload) : null);
+      this.responseOpcodes.set(id, { id, name: definition.name, decode });
+      return;
+    }
+    
+    const command = {
+      id,
+      name: definition.name,
+      request: (definition.request && definition.request.fields) || [],
+      minFirmware: definition.min_firmware !== undefined ? String(definition.min_firmware) : null
+    };
+    const replaced = this.commandOpcodes.get(id);
+    if (replaced && replaced.name !== command.name) {
+      delete this.commands[this.commandMethodName(replaced.name)];
+    }
+    this.commandOpcodes.set(id, command);
+    this.commands[this.commandMethodName(command.name)] = (payload = {}) => this.sendNamedCommand(command.name, payload);
+  }
+  
+  /**
+   * Name of the generated method for a command (config_read -> configRead)
+   */
+  commandMethodName(name) {
+    return name.replace(/_([a-z0-9])/g, (match, c) => c.toUpperCase());
+  }
+  
+  /**
+   * Look up a registered opcode by ID or name
+   * @param {string} kind - 'command' or 'response'
+   * @param {number|string} ref - Frame ID or registered name
+   * @returns {Object|null} Registry entry
+   */
+  findOpcode(kind, ref) {
+    const registry = kind === 'command' ? this.commandOpcodes : this.responseOpcodes;
+    if (typeof ref === 'number') {
+      return registry.get(ref) || null;
+    }
+    for (const definition of registry.values()) {
+      if (definition.name === ref) return definition;
+    }
+    return null;
+  }
+  
+  /**
+   * Register a handler for a response
+   * Handlers for a frame run in registration order until one returns
+   * anything but false. With options.owner the handler only runs while the
+   * current operation owns that part of the notification stream (see
+   * enqueueOperation()). Frames nobody handles go to onNotification.
+   * Handlers are kept by response name, so they can be registered before the
+   * YAML defining the response has loaded.
+   * @param {number|string} response - Response name, or frame ID of a registered response
+   * @param {Function} handler - (frame) => boolean, frame as returned by decodeFrame()
+   * @param {Object} options - { owner, prepend (run before the handlers already registered) }
+   * @returns {Function} Removes the handler again
+   */
+  registerResponseHandler(response, handler, options = {}) {
+    let name = response;
+    if (typeof response === 'number') {
+      const definition = this.findOpcode('response', response);
+      if (!definition) {
+        throw new Error(`Unknown response opcode ${this.opcodeHex(response)}, register it with registerOpcode() first`);
+      }
+      name = definition.name;
+    }
+    const entry = { handler, owner: options.owner || null };
+    const handlers = this.responseHandlers.get(name) || [];
+    if (options.prepend) {
+      handlers.unshift(entry);
+    } else {
+      handlers.push(entry);
+    }
+    this.responseHandlers.set(name, handlers);
+    return () => {
+      const index = handlers.indexOf(entry);
+      if (index !== -1) handlers.splice(index, 1);
+    };
+  }
+  
+  /**
+   * Hook up the built-in response handlers
+   */
+  registerBuiltinHandlers() {
+    const builtins = [
+      ['config_chunk', 'configRead', this.handleConfigChunk],
+      ['config_read_error', 'configRead', this.handleConfigReadError],
+      ['config_write_ack', 'configWrite', this.handleConfigWriteAck],
+      ['config_write_error', 'configWrite', this.handleConfigWriteError],
+      ['firmware_version', 'firmwareVersion', this.handleFirmwareVersion],
+      ['command_ack', null, this.handleCommandAck],
+      ['command_error', null, this.handleCommandError],
+      ['direct_write_started', 'directWrite', this.handleDirectWriteStarted],
+      ['direct_write_data_ack', 'directWrite', this.handleDirectWriteDataAck],
+      ['direct_write_end_ack', 'directWrite', this.handleDirectWriteEndAck],
+      ['direct_write_refreshed', 'directWrite', this.handleDirectWriteRefreshed],
+      ['direct_write_refresh_timeout', 'directWrite', this.handleDirectWriteRefreshTimeout],
+      ['dfu_block_request', 'dfu', this.handleDFUBlockRequest],
+      ['dfu_part_error', 'dfu', this.handleDFUPartError],
+      ['dfu_part_ack', 'dfu', this.handleDFUPartAck],
+      ['dfu_upload_ok', 'dfu', this.handleDFUFinished],
+      ['dfu_data_present', 'dfu', this.handleDFUFinished],
+      ['dfu_update_ok', 'dfu', this.handleDFUFinished]
+    ];
+    builtins.forEach(([response, owner, handler]) => {
+      this.registerResponseHandler(response, handler.bind(this), { owner });
+    });
+  }
+  
+  /**
+   * Split a notification into its ID, registered name and decoded payload
+   * @param {Uint8Array} bytes - Notification payload
+   * @returns {Object} { id, name, bytes, payload, decoded, error }
+   *   id is null for frames under two bytes, name is null for unregistered IDs,
+   *   error holds the decoder's message for a malformed payload
+   */
+  decodeFrame(bytes) {
+    const frame = { id: null, name: null, bytes, payload: bytes, decoded: null, error: null };
+    if (bytes.length < 2) {
+      frame.error = 'frame too short';
+      return frame;
+    }
+    frame.id = (bytes[0] << 8) | bytes[1];
+    frame.payload = bytes.slice(2);
+    const definition = this.responseOpcodes.get(frame.id);
+    if (!definition) return frame;
+    frame.name = definition.name;
+    if (definition.decode) {
+      try {
+        frame.decoded = definition.decode(frame.payload);
+      } catch (error) {
+        frame.error = error.message;
+      }
+    }
+    return frame;
+  }
+  
+  /**
+   * Decode a command or response payload from its YAML field list
+   * Supports the message field attributes present_if and length_field on top
+   * of the packet field attributes (see decodeField()).
+   * @param {Array} fields - Field definitions
+   * @param {Uint8Array|Array} payload - Payload after the frame ID
+   * @returns {Object} Field values keyed by field name
+   * @throws {Error} When a fixed-size field is cut off
+   */
+  decodeMessageFields(fields, payload) {
+    const bytes = Array.from(payload);
+    const decodedFields = {};
+    const values = {};
+    let offset = 0;
+    for (const field of fields) {
+      if (field.present_if && values[field.present_if.field] !== field.present_if.equals) continue;
+      let size = this.parseSizeToken(field.size);
+      if (size === null) {
+        // Variable fields take the rest, or what an earlier length field says (as far as it goes)
+        const remaining = bytes.length - offset;
+        size = field.length_field ? Math.min(values[field.length_field] || 0, remaining) : remaining;
+      } else if (offset + size > bytes.length) {
+        throw new Error(`${field.name} is cut off (${bytes.length - offset} of ${size} bytes)`);
+      }
+      decodedFields[field.name] = this.decodeField(field, bytes.slice(offset, offset + size), decodedFields);
+      values[field.name] = decodedFields[field.name].value;
+      offset += size;
+    }
+    return values;
+  }
+  
+  /**
+   * One-line description of a frame for the log: ID, name and decoded fields
+   */
+  describeFrame(frame) {
+    if (frame.id === null) {
+      return `${this.bytesToHex(frame.bytes)} (${frame.error})`;
+    }
+    const parts = [this.opcodeHex(frame.id), frame.name || 'unknown'];
+    if (frame.error) {
+      parts.push(`malformed: ${frame.error}`);
+    } else if (frame.decoded) {
+      Object.keys(frame.decoded).forEach(key => {
+        const value = frame.decoded[key];
+        parts.push(`${key}=${value && typeof value === 'object' ? `[${value.length}]` : value}`);
+      });
+    } else if (frame.payload.length > 0) {
+      const payloadHex = this.bytesToHex(frame.payload).replace(/\s+/g, '');
+      parts.push(payloadHex.length > 40 ? payloadHex.substring(0, 40) + '...' : payloadHex);
+    }
+    return parts.join(' ');
+  }
+  
+  /**
+   * Frame ID as four hex digits, as used in the logs
+   */
+  opcodeHex(id) {
+    return id.toString(16).padStart(4, '0').toUpperCase();
+  }
+  
+  /**
+   * Handle notification from device (delivered by the transport)
+   * Logs the decoded frame and routes it to the handlers registered for its
+   * ID (see registerResponseHandler()).
+   * @param {Uint8Array} bytes - Notification payload
+   * @param {*} rawEvent - Transport-specific event, passed through to onNotification
+   */
+  handleNotification(bytes, rawEvent = null) {
+    if (!bytes || bytes.length === 0) return;
+    
+    const frame = this.decodeFrame(bytes);
+    this.log(`BLE< ${this.describeFrame(frame)}`, frame.error ? 'warning' : 'info');
+    
+    const handlers = frame.name ? (this.responseHandlers.get(frame.name) || []) : [];
+    for (const entry of handlers.slice()) {
+      if (entry.owner && !this.ownsNotifications(entry.owner)) continue;
+      try {
+        if (entry.handler(frame) !== false) return;
+      } catch (error) {
+        this.log(`Error handling ${frame.name}: ${error.message}`, 'error');
+        return;
+      }
+    }
+    
+    // Call custom notification handler
+    if (this.onNotification) {
+      this.onNotification(bytes, this.bytesToHex(bytes), rawEvent);
+    }
+  }
+  
+  /**
+   * Config read chunk (built-in handler)
+   */
+  handleConfigChunk(frame) {
+    const state = this.configReadState;
+    if (!state.active) return false;
+    if (frame.error) {
+      this.log(`Ignoring malformed config chunk: ${frame.error}`, 'warning');
+      return true;
+    }
+    
+    const { chunk, data } = frame.decoded;
+    if (chunk === 0) {
+      // First chunk contains total length
+      state.totalLength = frame.decoded.total_length;
+      const subsequentChunkDataSize = 512 - 4;
+      const remainingData = state.totalLength - data.length;
+      state.expectedChunks = 1 + Math.ceil(remainingData / subsequentChunkDataSize);
+      this.log(`Config read: ${state.totalLength} bytes expected in ${state.expectedChunks} chunks`, 'info');
+      state.chunks[0] = Array.from(data);
+      state.receivedLength = data.length;
+    } else {
+      state.chunks[chunk] = Array.from(data);
+      state.receivedLength += data.length;
+    }
+    
+    this.log(`Progress: ${state.receivedLength}/${state.totalLength} bytes`, 'info');
+    
+    // Progress callback
+    if (state.onProgress) {
+      state.onProgress(state.receivedLength, state.totalLength);
+    }
+    
+    // Check if complete (the total is only known once chunk 0 has arrived)
+    if (state.totalLength > 0 && state.receivedLength >= state.totalLength) {
+      this.log('All config chunks received, reconstructing...', 'info');
+      this.reconstructConfig();
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Config read error (built-in handler)
+   */
+  handleConfigReadError(frame) {
+    if (!this.configReadState.active) return false;
+    this.log('Config read failed on device', 'error');
+    const operation = this.configReadState.operation;
+    this.configReadState.active = false;
+    if (operation) {
+      operation.reject(this.operationError(operation, 'device', 'Config read failed on device'));
+    }
+    return true;
+  }
+  
+  /**
+   * Config write ACK (built-in handler)
+   * A paced write gets one 0xCE, once the config is stored. On a device that
+   * acks every frame each 0xCE releases the next frame (see writeConfig()).
+   */
+  handleConfigWriteAck(frame) {
+    const state = this.configWriteState;
+    if (!state.active) return false;
+    if (state.restarting) {
+      this.log('Config write: ignoring an ack for the abandoned attempt', 'warning');
+      return true;
+    }
+    if (state.mode !== 'acks' && state.sentFrames === state.chunks.length) {
+      this.finishConfigWrite();
+      return true;
+    }
+    if (state.mode !== 'acks') {
+      // Released firmware never acks before the last frame
+      this.log('Device acks every config write chunk', 'info');
+      this.detectedChunkAcks = true;
+      state.mode = 'acks';
+    }
+    
+    if (state.ackedFrames >= state.sentFrames) {
+      this.log('Config write: ignoring an ack with no frame outstanding', 'warning');
+      return true;
+    }
+    clearTimeout(state.ackTimer);
+    state.ackedFrames++;
+    state.ackedLength += state.chunks[state.ackedFrames - 1].length;
+    this.reportConfigWriteProgress(state.ackedLength);
+    if (state.ackedFrames === state.chunks.length) {
+      this.finishConfigWrite();
+    } else if (state.sentFrames === state.ackedFrames) {
+      this.sendConfigWriteFrame().catch(state.operation.reject);
+      this.waitForConfigWriteAck();
+    } else {
+      this.waitForConfigWriteAck();
+    }
+    return true;
+  }
+  
+  /**
+   * Config write error (built-in handler)
+   */
+  handleConfigWriteError(frame) {
+    const state = this.configWriteState;
+    if (!state.active) return false;
+    clearTimeout(state.ackTimer);
+    const where = state.chunks.length > 1 ? ` at chunk ${Math.min(state.ackedFrames + 1, state.chunks.length)} of ${state.chunks.length}` : '';
+    this.log(`Config write failed${where}`, 'error');
+    const operation = state.operation;
+    state.active = false;
+    if (operation) operation.reject(this.operationError(operation, 'device', `Config write failed on device${where}`));
+    return true;
+  }
+  
+  /**
+   * Firmware version response (built-in handler)
+   */
+  handleFirmwareVersion(frame) {
+    if (!this.firmwareVersionState.active) return false;
+    const operation = this.firmwareVersionState.operation;
+    this.firmwareVersionState.active = false;
+    
+    if (frame.error) {
+      this.log(`Invalid firmware version response: ${frame.error}`, 'error');
+      if (operation) operation.reject(this.operationError(operation, 'device', `Invalid firmware version response: ${frame.error}`));
+      return true;
+    }
+    
+    const versionInfo = {
+      major: frame.decoded.major,
+      minor: frame.decoded.minor,
+      sha: frame.decoded.sha
+    };
+    this.firmwareVersion = versionInfo;
+    if (operation) operation.resolve(versionInfo);
+    if (this.onFirmwareVersion) {
+      this.onFirmwareVersion(versionInfo);
+    }
+    return true;
+  }
+  
+  /**
+   * Command ACK (built-in handler)
+   */
+  handleCommandAck(frame) {
+    if (this.onCommandAck) {
+      this.onCommandAck();
+    }
+    return true;
+  }
+  
+  /**
+   * General command error: the tag rejected the last command (built-in handler)
+   * FFFF carries no opcode, so it is blamed on the running queue operation,
+   * which owns the notification stream; nothing is rejected when none runs.
+   */
+  handleCommandError(frame) {
+    this.log('General command error (FFFF)', 'error');
+    const active = this.operationQueue.active;
+    if (!active || this.rejectPendingOperations('device', 'device returned a command error (FFFF)', active) === 0) {
+      this.log('No pending operation to fail for the command error', 'warning');
+    }
+    if (this.onCommandError) {
+      this.onCommandError('FFFF');
+    }
+    return true;
+  }
+  
+  /**
+   * DFU block request (built-in handler)
+   */
+  handleDFUBlockRequest(frame) {
+    if (!this.dfuState.active) return false;
+    if (frame.error) {
+      this.log(`Error parsing Block Request (00C6): ${frame.error}`, 'error');
+      if (this.dfuState.onError) {
+        this.dfuState.onError(new Error(frame.error));
+      }
+      return true;
+    }
+    
+    const blockRequest = new BlockRequest(this.bytesToHex(frame.payload).replace(/\s+/g, ''));
+    blockRequest.display();
+    
+    this.dfuState.currentBlockId = blockRequest.blockId;
+    if (this.dfuState.onProgress) {
+      this.dfuState.onProgress(`Device requests Block ${blockRequest.blockId}`);
+    }
+    
+    // Send ACK
+    this.sendNamedCommand('dfu_block_ack').then(() => {
+      setTimeout(() => {
+        this.sendDFUBlockData(blockRequest.blockId);
+      }, 50);
+    }).catch(error => {
+      this.log(`DFU error: ${error.message}`, 'error');
+      if (this.dfuState.onError) {
+        this.dfuState.onError(error);
+      }
+    });
+    return true;
+  }
+  
+  /**
+   * DFU part error, the part is sent again (built-in handler)
+   */
+  handleDFUPartError(frame) {
+    if (!this.dfuState.active) return false;
+    this.log(`Part Error Block ${this.dfuState.currentBlockId} Part ${this.dfuState.packetIndex}. Retrying...`, 'warning');
+    if (this.dfuState.onProgress) {
+      this.dfuState.onProgress(`Part Error Retry ${this.dfuState.packetIndex}...`);
+    }
+    setTimeout(() => this.sendNextDFUPart(), 100);
+    return true;
+  }
+  
+  /**
+   * DFU part ACK (built-in handler)
+   */
+  handleDFUPartAck(frame) {
+    if (!this.dfuState.active) return false;
+    this.dfuState.packetIndex++;
+    if (this.dfuState.packetIndex < this.dfuState.totalPackets) {
+      this.sendNextDFUPart();
+    } else {
+      this.log(`Block ${this.dfuState.currentBlockId} ACKed. Waiting for next request...`, 'info');
+      if (this.dfuState.onProgress) {
+        this.dfuState.onProgress(`Block ${this.dfuState.currentBlockId} Sent.`);
+      }
+    }
+    return true;
+  }
+  
+  /**
+   * DFU upload OK, data already present or firmware update OK (built-in handler)
+   */
+  handleDFUFinished(frame) {
+    if (!this.dfuState.active) return false;
+    const outcomes = {
+      dfu_upload_ok: { message: 'Upload OK.', type: 'success', progress: 'Upload Complete.' },
+      dfu_data_present: { message: 'Device: Data already present.', type: 'info', progress: 'Data already present.' },
+      dfu_update_ok: { message: 'Firmware update successful ACK.', type: 'success', progress: 'FW Update OK.' }
+    };
+    const outcome = outcomes[frame.name];
+    this.log(outcome.message, outcome.type);
+    if (this.dfuState.onProgress) {
+      this.dfuState.onProgress(outcome.progress);
+    }
+    // The device waits for a finished ACK after an image transfer
+    if (frame.name !== 'dfu_update_ok') {
+      this.sendNamedCommand('dfu_finished_ack').catch(error => {
+        this.log(`Error: ${error.message}`, 'error');
+      });
+    }
+    this.resetDFUState();
+    if (this.dfuState.onComplete) {
+      this.dfuState.onComplete(true, null);
+    }
+    return true;
+  }
+  
+  /**
+   * Reset DFU state
+   */
+  resetDFUState() {
+    this.dfuState.active = false;
+    this.dfuState.packets = [];
+    this.dfuState.totalPackets = 0;
+    this.dfuState.packetIndex = 0;
+    this.dfuState.currentBlockId = 0;
+    this.dfuState.imgArray = "";
+    this.dfuState.imgArrayLen = 0;
+  }
+  
+  /**
+   * Send next DFU part
+   */
+  sendNextDFUPart() {
+    if (this.dfuState.packetIndex >= this.dfuState.packets.length) {
+      this.log("DFU: No more packets to send", 'error');
+      return;
+    }
+    this.log(`Sending packet: ${this.dfuState.packets[this.dfuState.packetIndex]}`, 'info');
+    this.sendNamedCommand('dfu_part', { part: this.dfuState.packets[this.dfuState.packetIndex] }).catch(error => {
+      this.log(`Send Error: ${error.message}`, 'error');
+      if (this.dfuState.onError) {
+        this.dfuState.onError(error);
+      }
+    });
+  }
+  
+  /**
+   * Send DFU block data
+   */
+  async sendDFUBlockData(blockId, largeHexData = null) {
+    const hexData = largeHexData || this.dfuState.imgArray;
+    const blockSizeHex = (DFU_BLOCK_DATA_SIZE * 2);
+    const totalBlocks = Math.ceil(hexData.length / blockSizeHex);
+    
+    if (blockId >= totalBlocks) {
+      this.log(`Block ID ${blockId} exceeds total blocks (${totalBlocks}).`, 'error');
+      if (this.dfuState.onError) {
+        this.dfuState.onError(new Error(`Block ID ${blockId} exceeds total blocks`));
+      }
+      return;
+    }
+    
+    const start = blockId * blockSizeHex;
+    const end = start + blockSizeHex;
+    const blockHexData = hexData.substring(start, end);
+    this.log(`Processing block ${blockId + 1}/${totalBlocks}...`, 'info');
+    
+    // hexToByteArray creates a special format with length prefix and CRC
+    const dataBytes = (() => {
+      const byteArray = [];
+      byteArray.push((blockHexData.length / 2) & 0xff);
+      byteArray.push(((blockHexData.length / 2) >> 8) & 0xff);
+      byteArray.push(0x00);
+      byteArray.push(0x00);
+      let theCrc = 0;
+      for (let i = 0; i < blockHexData.length; i += 2) {
+        theCrc += parseInt(blockHexData.substring(i, i + 2), 16);
+        byteArray.push(parseInt(blockHexData.substring(i, i + 2), 16));
+      }
+      byteArray[2] = theCrc & 0xff;
+      byteArray[3] = (theCrc >> 8) & 0xff;
+      return byteArray;
+    })();
+    
+    this.dfuState.packets = [];
+    this.dfuState.totalPackets = Math.ceil(dataBytes.length / DFU_BLOCK_PART_DATA_SIZE);
+    for (let i = 0; i < this.dfuState.totalPackets; i++) {
+      const startIdx = i * DFU_BLOCK_PART_DATA_SIZE;
+      const slice = dataBytes.slice(startIdx, startIdx + DFU_BLOCK_PART_DATA_SIZE);
+      const packet = new BlockPart(blockId, i, slice);
+      this.dfuState.packets.push(packet.toHexString());
+    }
+    this.dfuState.packetIndex = 0;
+    this.sendNextDFUPart();
+  }
+  
+  /**
+   * Start DFU upload
+   * @param {string} hexData - Hex string of firmware data
+   * @param {Object} options - Options with onProgress, onComplete, onError callbacks
+   *   and signal (AbortSignal) to cancel the upload
+   * @returns {Promise<void>} Resolves when the device reports the upload done, rejects on
+   *   the first error, disconnect or abort. Queued behind any running device operation
+   *   (see enqueueOperation()).
+   */
+  startDFUUpload(hexData, options = {}) {
+    return this.enqueueOperation('DFU upload', ['dfu'],
+      signal => this.performDFUUpload(hexData, { ...options, signal }), options);
+  }
+  
+  /**
+   * Run a DFU upload on the notification stream the caller already owns
+   */
+  async performDFUUpload(hexData, options = {}) {
+    if (!this.isConnected) {
+      throw new Error('Not connected');
+    }
+    
+    if (this.dfuState.active) {
+      throw new Error('DFU upload already in progress');
+    }
+    
+    // The device paces the upload with block requests, so there is no timeout
+    const operation = this.trackOperation('DFU upload', { timeout: 0, signal: options.signal });
+    if (operation.settled) return operation.promise;
+    operation.onSettle = (error) => {
+      if (error) this.resetDFUState();
+    };
+    
+    this.dfuState.active = true;
+    this.dfuState.imgArray = hexData;
+    this.dfuState.imgArrayLen = hexData.length;
+    this.dfuState.onProgress = options.onProgress || null;
+    this.dfuState.onComplete = (success, error) => {
+      if (options.onComplete) options.onComplete(success, error);
+      operation.resolve();
+    };
+    this.dfuState.onError = (error) => {
+      if (options.onError) options.onError(error);
+      operation.reject(error);
+    };
+    
+    // DFU upload starts when device sends block request (0x00C6)
+    // The handler will automatically process it
+    return operation.promise;
+  }
+  
+  /**
+   * Reconstruct config from chunks
+   */
+  reconstructConfig() {
+    const configBytes = [];
+    // Get all chunk numbers and sort them
+    const chunkNumbers = Object.keys(this.configReadState.chunks).map(Number).sort((a, b) => a - b);
+    
+    for (const chunkNum of chunkNumbers) {
+      if (this.configReadState.chunks[chunkNum]) {
+        configBytes.push(...this.configReadState.chunks[chunkNum]);
+      }
+    }
+    
+    this.log(`Reconstructed config: ${configBytes.length} bytes (expected: ${this.configReadState.totalLength}) from ${chunkNumbers.length} chunks`, 'info');
+    
+    if (configBytes.length !== this.configReadState.totalLength) {
+      this.log(`WARNING: Length mismatch! Expected ${this.configReadState.totalLength}, got ${configBytes.length}`, 'warning');
+    }
+    
+    // Settle the read; onSettle resets configReadState
+    const operation = this.configReadState.operation;
+    if (operation) {
+      operation.resolve(new Uint8Array(configBytes));
+    } else {
+      this.log('WARNING: Config read completed but no read was pending', 'warning');
+    }
+  }
+  
+  /**
+   * Read config from device
+   * Resolves with the config bytes once every 0x40 chunk has arrived; rejects
+   * on 0xFF 0x40, timeout, disconnect or abort (see trackOperation()).
+   * Queued behind any running device operation (see enqueueOperation()).
+   * The old readConfig(onComplete(bytes, error), onProgress) form still works
+   * (see settleLegacyCallback()).
+   * @param {Object} options - { onProgress(received, total), timeout (ms), signal (AbortSignal) }
+   * @returns {Promise<Uint8Array>}
+   */
+  readConfig(options = {}, onProgress = null) {
+    if (typeof options === 'function') {
+      return this.settleLegacyCallback('readConfig', this.readConfig({ onProgress }),
+        (error, bytes) => options(error ? null : bytes, error));
+    }
+    return this.enqueueOperation('Config read', ['configRead'],
+      signal => this.performConfigRead({ ...options, signal }), options);
+  }
+  
+  /**
+   * Run a config read on the notification stream the caller already owns
+   */
+  performConfigRead(options = {}) {
+    if (!this.isConnected) {
+      return Promise.reject(new Error('Not connected'));
+    }
+    
+    const operation = this.trackOperation('Config read', options);
+    if (operation.settled) return operation.promise;
+    this.configReadState = {
+      active: true,
+      totalLength: 0,
+      receivedLength: 0,
+      chunks: {},
+      expectedChunks: 0,
+      operation,
+      onProgress: options.onProgress || null
+    };
+    operation.onSettle = () => {
+      if (this.configReadState.operation !== operation) return;
+      this.configReadState.active = false;
+      this.configReadState.operation = null;
+      this.configReadState.chunks = {};
+      this.configReadState.receivedLength = 0;
+      this.configReadState.totalLength = 0;
+    };
+    
+    this.log('Reading current config from device...', 'info');
+    this.sendNamedCommand('config_read').catch(operation.reject);
+    return operation.promise;
+  }
+  
+  /**
+   * Error handler
+   */
+  handleError(error) {
+    this.log(`Error: ${error.name} - ${error.message}`, 'error');
+    this.setStatus(`Error: ${error.message}`, false);
+    
+    if (this.onError) {
+      this.onError(error);
+    }
+  }
+  
+  /**
+   * Utility: Convert hex string to Uint8Array
+   */
+  hexToBytes(hexString) {
+    if (typeof hexString !== 'string') hexString = '';
+    const cleanHex = hexString.replace(/[^0-9a-fA-F]/g, '');
+    if (cleanHex.length % 2 !== 0) {
+      this.log('Odd hex string length, padding with 0', 'warning');
+      return new Uint8Array(0);
+    }
+    const bytes = new Uint8Array(cleanHex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = parseInt(cleanHex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+  }
+  
+  /**
+   * Utility: Convert ArrayBuffer/Uint8Array to hex string (space-separated)
+   */
+  bytesToHex(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    return Array.from(bytes).map(b => b.toString(16).padStart(2, '0').toUpperCase()).join(' ');
+  }
+  
+  /**
+   * Convert hex string to Uint8Array (continuous hex, no spaces)
+   */
+  hexToUint8Array(hex) {
+    if (typeof hex !== 'string') {
+      return new Uint8Array(0);
+    }
+    const cleanHex = hex.replace(/[^0-9a-fA-F]/g, '');
+    if (cleanHex.length % 2 !== 0) {
+      this.log('Odd hex string length', 'warning');
+      return new Uint8Array(0);
+    }
+    const byteLength = Math.floor(cleanHex.length / 2);
+    const bytes = new Uint8Array(byteLength);
+    for (let i = 0; i < byteLength; i++) {
+      const byteHex = cleanHex.substr(i * 2, 2);
+      bytes[i] = parseInt(byteHex, 16);
+      if (isNaN(bytes[i])) {
+        this.log(`Invalid hex byte "${byteHex}" at position ${i * 2}`, 'warning');
+        bytes[i] = 0;
+      }
+    }
+    return bytes;
+  }
+  
+  /**
+   * Parse Uint8 from hex string (little-endian, 2 hex chars)
+   */
+  fromHexUint8(hex) {
+    return parseInt(hex.substring(0, 2), 16);
+  }
+  
+  /**
+   * Parse Uint16 from hex string (little-endian, 4 hex chars)
+   */
+  fromHexUint16LE(hex) {
+    return parseInt(hex.substring(2, 4) + hex.substring(0, 2), 16);
+  }
+  
+  /**
+   * Parse Uint32 from hex string (little-endian, 8 hex chars)
+   */
+  fromHexUint32LE(hex) {
+    return parseInt(hex.substring(6, 8) + hex.substring(4, 6) + hex.substring(2, 4) + hex.substring(0, 2), 16) >>> 0;
+  }
+  
+  /**
+   * Get packet size for a given packet ID (from YAML)
+   */
+  getPacketSize(packetId) {
+    // If YAML hasn't loaded yet, log warning
+    if (Object.keys(this.packetSizes).length === 0) {
+      if (this.configYAML === null) {
+        this.log(`Packet size lookup for 0x${packetId.toString(16)}: YAML not loaded yet, packet sizes unavailable`, 'warning');
+      } else {
+        this.log(`Packet size lookup for 0x${packetId.toString(16)}: YAML loaded but no packet sizes calculated (parsing may have failed)`, 'warning');
+      }
+      return null;
     }
     
-    // Call custom notification handler
-    if (this.onNotification) {
-      this.onNotification(bytes, hexString, event);
-    } else {
-      this.log(`BLE< ${hexString}`, 'info');
+    const size = this.packetSizes[packetId];
+    if (size === undefined) {
+      this.log(`Packet size lookup for 0x${packetId.toString(16)} (${packetId}): Unknown packet type. Available: ${Object.keys(this.packetSizes).map(k => '0x' + parseInt(k).toString(16) + '(' + k + ')').join(', ') || 'none'}`, 'warning');
     }
+    return size || null;
   }
   
   /**
-   * Handle config read notifications (built-in handler)
+   * Get field offset for a packet type and field name (from YAML)
    */
-  handleConfigReadNotification(bytes) {
-    if (bytes.length < 4) return false;
-    
-    const responseType = bytes[0];
-    const command = bytes[1];
-    
-    // Config read response (0x00 0x40)
-    if (responseType === 0x00 && command === 0x40) {
-      const chunkNumber = bytes[2] | (bytes[3] << 8);
-      
-      if (chunkNumber === 0) {
-        // First chunk contains total length
-        if (bytes.length >= 6) {
-          this.configReadState.totalLength = bytes[4] | (bytes[5] << 8);
-          const firstChunkDataSize = bytes.length - 6;
-          const subsequentChunkDataSize = 512 - 4;
-          const remainingData = this.configReadState.totalLength - firstChunkDataSize;
-          this.configReadState.expectedChunks = 1 + Math.ceil(remainingData / subsequentChunkDataSize);
-          this.log(`Config read: ${this.configReadState.totalLength} bytes expected in ${this.configReadState.expectedChunks} chunks`, 'info');
-        }
-        const dataStart = 6;
-        const chunkData = Array.from(bytes.slice(dataStart));
-        this.configReadState.chunks[0] = chunkData;
-        this.configReadState.receivedLength = chunkData.length;
-      } else {
-        // Subsequent chunks
-        const dataStart = 4;
-        const chunkData = Array.from(bytes.slice(dataStart));
-        this.configReadState.chunks[chunkNumber] = chunkData;
-        this.configReadState.receivedLength += chunkData.length;
-      }
-      
-      this.log(`Received chunk ${chunkNumber} (${bytes.length - (chunkNumber === 0 ? 6 : 4)} bytes)`, 'info');
-      this.log(`Progress: ${this.configReadState.receivedLength}/${this.configReadState.totalLength} bytes`, 'info');
-      
-      // Progress callback
-      if (this.configReadState.onProgress) {
-        this.configReadState.onProgress(this.configReadState.receivedLength, this.configReadState.totalLength);
-      }
-      
-      // Check if complete
-      if (this.configReadState.receivedLength >= this.configReadState.totalLength) {
-        this.log('All config chunks received, reconstructing...', 'info');
-        this.reconstructConfig();
-      }
-      
-      return true;
+  getFieldOffset(packetId, fieldName) {
+    const offsets = this.packetFieldOffsets[packetId];
+    if (!offsets) return null;
+    return offsets[fieldName] !== undefined ? offsets[fieldName] : null;
+  }
+  
+  /**
+   * Get the YAML definition for a packet type
+   */
+  getPacketDefinition(packetId) {
+    if (!this.packetSchema) return null;
+    return this.packetSchema[packetId] || null;
+  }
+  
+  /**
+   * Read an unsigned/signed integer from bytes
+   * @param {Array|Uint8Array} bytes - Field bytes
+   * @param {boolean} bigEndian - Byte order
+   * @param {boolean} signed - Two's complement
+   */
+  readInteger(bytes, bigEndian = false, signed = false) {
+    let value = 0;
+    for (let i = 0; i < bytes.length; i++) {
+      const b = bigEndian ? bytes[i] : bytes[bytes.length - 1 - i];
+      value = value * 256 + b;
     }
-    
-    // Config read error (0xFF 0x40)
-    if (responseType === 0xFF && command === 0x40) {
-      this.log('Config read failed on device', 'error');
-      this.configReadState.active = false;
-      if (this.configReadState.onComplete) {
-        this.configReadState.onComplete(null, new Error('Config read failed'));
-      }
-      return true;
+    if (signed && bytes.length > 0 && value >= Math.pow(2, bytes.length * 8 - 1)) {
+      value -= Math.pow(2, bytes.length * 8);
     }
-    
-    return false;
+    return value;
   }
   
   /**
-   * Handle config write notifications (built-in handler)
+   * Decode a single field using its YAML definition
+   * Field attributes used: size, type (string/bytes), endian, signed, enum,
+   * conditional_enum and bits.
+   * @param {Object} fieldDef - Field definition from YAML
+   * @param {Array|Uint8Array} bytes - Raw field bytes
+   * @param {Object} decodedFields - Fields decoded so far (for conditional_enum)
+   * @returns {Object} { value, type, raw, ... }
    */
-  handleConfigWriteNotification(bytes) {
-    if (bytes.length < 2) return false;
+  decodeField(fieldDef, bytes, decodedFields = {}) {
+    const raw = Array.from(bytes);
+    
+    if (fieldDef.type === 'string') {
+      const end = raw.indexOf(0);
+      const strBytes = end === -1 ? raw : raw.slice(0, end);
+      const value = typeof TextDecoder !== 'undefined'
+        ? new TextDecoder().decode(new Uint8Array(strBytes))
+        : strBytes.map(b => String.fromCharCode(b)).join('');
+      return { type: 'string', value, raw };
+    }
+    
+    // Wide fields without an explicit type (e.g. reserved blocks) stay as bytes
+    if (fieldDef.type === 'bytes' || raw.length > 4) {
+      return { type: 'bytes', value: raw, raw };
+    }
     
-    const responseType = bytes[0];
-    const command = bytes[1];
+    const value = this.readInteger(raw, fieldDef.endian === 'big', !!fieldDef.signed);
     
-    // Config write ACK (0x00 0xCE)
-    if (responseType === 0x00 && command === 0xCE) {
-      this.log('Config write successful', 'success');
-      this.configWriteState.active = false;
-      if (this.configWriteState.onComplete) {
-        this.configWriteState.onComplete(null);
+    if (fieldDef.bits) {
+      const flags = {};
+      for (const [bit, bitDef] of Object.entries(fieldDef.bits)) {
+        const name = bitDef && bitDef.name ? bitDef.name : `bit_${bit}`;
+        flags[name] = !!(value & (1 << parseInt(bit, 10)));
       }
-      return true;
+      return { type: 'bits', value, raw, flags };
     }
     
-    // Config write error (0x00 0xCF)
-    if (responseType === 0x00 && command === 0xCF) {
-      this.log('Config write failed', 'error');
-      this.configWriteState.active = false;
-      if (this.configWriteState.onComplete) {
-        this.configWriteState.onComplete(new Error('Config write failed'));
-      }
-      return true;
+    let enumValues = fieldDef.enum || null;
+    if (!enumValues && fieldDef.conditional_enum) {
+      const dependency = decodedFields[fieldDef.conditional_enum.depends_on];
+      const values = fieldDef.conditional_enum.values || {};
+      enumValues = dependency ? values[dependency.value] || null : null;
+    }
+    if (enumValues) {
+      const enumDef = enumValues[value];
+      return {
+        type: 'enum',
+        value,
+        raw,
+        name: enumDef ? enumDef.name : null,
+        description: enumDef ? enumDef.description || null : null
+      };
     }
     
-    return false;
+    return { type: 'uint', value, raw };
   }
   
   /**
-   * Handle firmware version notifications (built-in handler)
+   * Decode every field of a packet payload using the YAML schema
+   * @param {number} packetId - Packet type ID
+   * @param {Uint8Array|Array} packetData - Packet payload (after packet number and ID)
+   * @returns {Object|null} Decoded fields keyed by field name, or null if the packet type is unknown
    */
-  handleFirmwareVersionNotification(bytes) {
-    if (bytes.length < 2) return false;
-    
-    const responseType = bytes[0];
-    const command = bytes[1];
+  decodePacketFields(packetId, packetData) {
+    const packetDef = this.getPacketDefinition(packetId);
+    if (!packetDef || !packetDef.fields) return null;
     
-    // Firmware version response (0x00 0x43)
-    if (responseType === 0x00 && command === 0x43) {
-      if (bytes.length < 6) {
-        this.log('Firmware version response too short', 'error');
-        this.firmwareVersionState.active = false;
-        if (this.firmwareVersionState.onComplete) {
-          this.firmwareVersionState.onComplete(null, new Error('Response too short'));
-        }
-        return true;
+    const fields = {};
+    let offset = 0;
+    for (const fieldDef of packetDef.fields) {
+      let size = this.parseSizeToken(fieldDef.size);
+      if (size === null) {
+        // Variable size field - takes the rest of the payload
+        size = packetData.length - offset;
       }
-      
-      try {
-        const major = bytes[2];
-        const minor = bytes[3];
-        const shaLength = bytes[4];
-        let sha = '';
-        
-        if (shaLength > 0 && bytes.length >= 5 + shaLength) {
-          const shaBytes = bytes.slice(5, 5 + shaLength);
-          sha = Array.from(shaBytes).map(b => String.fromCharCode(b)).join('');
-        }
-        
-        const versionInfo = {
-          major: major,
-          minor: minor,
-          sha: sha
-        };
-        
-        this.firmwareVersionState.active = false;
-        if (this.firmwareVersionState.onComplete) {
-          this.firmwareVersionState.onComplete(versionInfo, null);
-        }
-        if (this.onFirmwareVersion) {
-          this.onFirmwareVersion(versionInfo);
-        }
-        return true;
-      } catch (e) {
-        this.log(`Error parsing firmware version: ${e.message}`, 'error');
-        this.firmwareVersionState.active = false;
-        if (this.firmwareVersionState.onComplete) {
-          this.firmwareVersionState.onComplete(null, e);
-        }
-        return true;
+      if (offset + size > packetData.length) {
+        break;
       }
+      fields[fieldDef.name] = this.decodeField(fieldDef, packetData.slice(offset, offset + size), fields);
+      offset += size;
     }
-    
-    return false;
+    return fields;
   }
   
   /**
-   * Handle generic command notifications (ACK, errors)
+   * Parse display packet fields from raw bytes (using the schema decoder)
+   * @param {Uint8Array} packetData - The display packet payload (starting after packet number and ID)
+   * @returns {Object|null} Parsed display config or null if invalid
    */
-  handleGenericCommandNotification(bytes) {
-    if (bytes.length < 2) return false;
-    
-    const responseType = bytes[0];
-    const command = bytes[1];
-    
-    // Command ACK (0x00 0x63)
-    if (responseType === 0x00 && command === 0x63) {
-      if (this.onCommandAck) {
-        this.onCommandAck();
-      }
-      return true;
+  parseDisplayPacketFields(packetData) {
+    if (!packetData || packetData.length < 22) {
+      return null;
     }
     
-    // General command error (0xFF 0xFF)
-    if (responseType === 0xFF && command === 0xFF) {
-      this.log('General command error (FFFF)', 'error');
-      if (this.onCommandError) {
-        this.onCommandError('FFFF');
-      }
-      return true;
+    const fields = this.decodePacketFields(0x20, packetData);
+    if (!fields) {
+      this.log('Display packet definition not available from YAML', 'warning');
+      return null;
     }
-    
-    return false;
+    const value = (name) => fields[name] ? fields[name].value : null;
+    
+    return {
+      instanceNumber: value('instance_number'),
+      displayTechnology: value('display_technology'),
+      panelIcType: value('panel_ic_type'),
+      pixelWidth: value('pixel_width'),
+      pixelHeight: value('pixel_height'),
+      activeWidthMm: value('active_width_mm'),
+      activeHeightMm: value('active_height_mm'),
+      tagType: value('legacy_tagtype'),
+      rotation: value('rotation'),
+      resetPin: value('reset_pin'),
+      busyPin: value('busy_pin'),
+      dcPin: value('dc_pin'),
+      csPin: value('cs_pin'),
+      dataPin: value('data_pin'),
+      partialUpdateSupport: value('partial_update_support'),
+      colorScheme: value('color_scheme'),
+      transmissionModes: value('transmission_modes'),
+      clkPin: value('clk_pin'),
+      // full_update_mC is optional (may not be in all packets)
+      fullUpdateMc: value('full_update_mC')
+    };
   }
   
   /**
-   * Handle config write notifications (built-in handler)
+   * Parse power option packet fields from raw bytes (using the schema decoder)
+   * @param {Uint8Array} packetData - The power option packet payload (starting after packet number and ID)
+   * @returns {Object|null} Parsed power option config or null if invalid
    */
-  handleConfigWriteNotification(bytes) {
-    if (bytes.length < 2) return false;
-    
-    const responseType = bytes[0];
-    const command = bytes[1];
-    
-    // Config write ACK (0x00 0xCE)
-    if (responseType === 0x00 && command === 0xCE) {
-      this.log('Config write successful', 'success');
-      this.configWriteState.active = false;
-      if (this.configWriteState.onComplete) {
-        this.configWriteState.onComplete(null);
-      }
-      return true;
+  parsePowerOptionPacketFields(packetData) {
+    if (!packetData || packetData.length < 18) {
+      return null;
     }
     
-    // Config write error (0x00 0xCF)
-    if (responseType === 0x00 && command === 0xCF) {
-      this.log('Config write failed', 'error');
-      this.configWriteState.active = false;
-      if (this.configWriteState.onComplete) {
-        this.configWriteState.onComplete(new Error('Config write failed'));
-      }
-      return true;
+    const fields = this.decodePacketFields(0x04, packetData);
+    if (!fields) {
+      this.log('Power option packet definition not available from YAML', 'warning');
+      return null;
     }
+    const value = (name) => fields[name] ? fields[name].value : null;
     
-    return false;
+    return {
+      powerMode: value('power_mode'),
+      batteryCapacity: value('battery_capacity_mah'),
+      deepSleepCurrent: value('deep_sleep_current_ua')
+    };
   }
   
   /**
-   * Handle firmware version notifications (built-in handler)
+   * Utility: Delay promise
    */
-  handleFirmwareVersionNotification(bytes) {
-    if (bytes.length < 2) return false;
-    
-    const responseType = bytes[0];
-    const command = bytes[1];
-    
-    // Firmware version response (0x00 0x43)
-    if (responseType === 0x00 && command === 0x43) {
-      if (bytes.length < 6) {
-        this.log('Firmware version response too short', 'error');
-        this.firmwareVersionState.active = false;
-        if (this.firmwareVersionState.onComplete) {
-          this.firmwareVersionState.onComplete(null, new Error('Response too short'));
-        }
-        return true;
-      }
-      
-      try {
-        const major = bytes[2];
-        const minor = bytes[3];
-        const shaLength = bytes[4];
-        let sha = '';
-        
-        if (shaLength > 0 && bytes.length >= 5 + shaLength) {
-          const shaBytes = bytes.slice(5, 5 + shaLength);
-          sha = Array.from(shaBytes).map(b => String.fromCharCode(b)).join('');
-        }
-        
-        const versionInfo = {
-          major: major,
-          minor: minor,
-          sha: sha
-        };
-        
-        this.firmwareVersionState.active = false;
-        if (this.firmwareVersionState.onComplete) {
-          this.firmwareVersionState.onComplete(versionInfo, null);
-        }
-        if (this.onFirmwareVersion) {
-          this.onFirmwareVersion(versionInfo);
-        }
-        return true;
-      } catch (e) {
-        this.log(`Error parsing firmware version: ${e.message}`, 'error');
-        this.firmwareVersionState.active = false;
-        if (this.firmwareVersionState.onComplete) {
-          this.firmwareVersionState.onComplete(null, e);
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+  
+  /**
+   * Calculate CRC16-CCITT checksum
+   */
+  crc16ccitt(buf) {
+    let crc = 0xFFFF;
+    const bytes = buf instanceof Uint8Array ? buf : new Uint8Array(buf);
+    for (let b of bytes) {
+      crc ^= (b << 8);
+      for (let i = 0; i < 8; i++) {
+        if (crc & 0x8000) {
+          crc = ((crc << 1) ^ 0x1021) & 0xFFFF;
+        } else {
+          crc = (crc << 1) & 0xFFFF;
         }
-        return true;
       }
     }
-    
-    return false;
+    return crc & 0xFFFF;
   }
   
   /**
-   * Handle generic command notifications (ACK, errors)
+   * Convert number to little-endian byte array
    */
-  handleGenericCommandNotification(bytes) {
-    if (bytes.length < 2) return false;
-    
-    const responseType = bytes[0];
-    const command = bytes[1];
-    
-    // Command ACK (0x00 0x63)
-    if (responseType === 0x00 && command === 0x63) {
-      if (this.onCommandAck) {
-        this.onCommandAck();
-      }
-      return true;
-    }
-    
-    // General command error (0xFF 0xFF)
-    if (responseType === 0xFF && command === 0xFF) {
-      this.log('General command error (FFFF)', 'error');
-      if (this.onCommandError) {
-        this.onCommandError('FFFF');
-      }
-      return true;
+  numToBytesLE(num, size) {
+    const out = [];
+    for (let i = 0; i < size; i++) {
+      out.push(num & 0xFF);
+      num = num >> 8;
     }
-    
-    return false;
+    return out;
   }
   
   /**
-   * Handle DFU notifications (built-in handler)
+   * Convert number to big-endian byte array
    */
-  handleDFUNotification(bytes) {
-    if (bytes.length < 2) return false;
-    
-    const responseType = bytes[0];
-    const command = bytes[1];
-    
-    // Block request (0x00 0xC6)
-    if (responseType === 0x00 && command === 0xC6) {
-      try {
-        const hexString = this.bytesToHex(bytes.slice(2)).replace(/\s+/g, '');
-        const blockRequest = new BlockRequest(hexString);
-        blockRequest.display();
-        
-        this.dfuState.currentBlockId = blockRequest.blockId;
-        if (this.dfuState.onProgress) {
-          this.dfuState.onProgress(`Device requests Block ${blockRequest.blockId}`);
-        }
-        
-        // Send ACK
-        this.sendHexCommand("0002").then(() => {
-          setTimeout(() => {
-            this.sendDFUBlockData(blockRequest.blockId);
-          }, 50);
-        }).catch(error => {
-          this.log(`DFU error: ${error.message}`, 'error');
-          if (this.dfuState.onError) {
-            this.dfuState.onError(error);
-          }
-        });
-        return true;
-      } catch (e) {
-        this.log(`Error parsing Block Request (00C6): ${e.message}`, 'error');
-        if (this.dfuState.onError) {
-          this.dfuState.onError(e);
-        }
-        return true;
-      }
-    }
-    
-    // Part error (0x00 0xC4)
-    if (responseType === 0x00 && command === 0xC4) {
-      this.log(`Part Error Block ${this.dfuState.currentBlockId} Part ${this.dfuState.packetIndex}. Retrying...`, 'warning');
-      if (this.dfuState.onProgress) {
-        this.dfuState.onProgress(`Part Error Retry ${this.dfuState.packetIndex}...`);
-      }
-      setTimeout(() => this.sendNextDFUPart(), 100);
-      return true;
-    }
-    
-    // Part ACK (0x00 0xC5)
-    if (responseType === 0x00 && command === 0xC5) {
-      this.dfuState.packetIndex++;
-      if (this.dfuState.packetIndex < this.dfuState.totalPackets) {
-        this.sendNextDFUPart();
-      } else {
-        this.log(`Block ${this.dfuState.currentBlockId} ACKed. Waiting for next request...`, 'info');
-        if (this.dfuState.onProgress) {
-          this.dfuState.onProgress(`Block ${this.dfuState.currentBlockId} Sent.`);
-        }
-      }
-      return true;
-    }
-    
-    // Upload OK (0x00 0xC7)
-    if (responseType === 0x00 && command === 0xC7) {
-      this.log("Upload OK.", 'success');
-      if (this.dfuState.onProgress) {
-        this.dfuState.onProgress("Upload Complete.");
-      }
-      this.sendHexCommand("0003").catch(error => {
-        this.log(`Error: ${error.message}`, 'error');
-      });
-      this.resetDFUState();
-      if (this.dfuState.onComplete) {
-        this.dfuState.onComplete(true, null);
-      }
-      return true;
-    }
-    
-    // Data already present (0x00 0xC8)
-    if (responseType === 0x00 && command === 0xC8) {
-      this.log("Device: Data already present.", 'info');
-      if (this.dfuState.onProgress) {
-        this.dfuState.onProgress("Data already present.");
-      }
-      this.sendHexCommand("0003").catch(error => {
-        this.log(`Error: ${error.message}`, 'error');
-      });
-      this.resetDFUState();
-      if (this.dfuState.onComplete) {
-        this.dfuState.onComplete(true, null);
-      }
-      return true;
-    }
-    
-    // Firmware update successful (0x00 0xC9)
-    if (responseType === 0x00 && command === 0xC9) {
-      this.log("Firmware update successful ACK.", 'success');
-      if (this.dfuState.onProgress) {
-        this.dfuState.onProgress("FW Update OK.");
-      }
-      this.resetDFUState();
-      if (this.dfuState.onComplete) {
-        this.dfuState.onComplete(true, null);
-      }
-      return true;
-    }
-    
-    return false;
+  numToBytesBE(num, size) {
+    return this.numToBytesLE(num, size).reverse();
   }
   
   /**
-   * Reset DFU state
+   * Parse a builder/JSON field value ("0x1F", "31", 31) to a number
+   * @returns {number|null} null if empty or not numeric
    */
-  resetDFUState() {
-    this.dfuState.active = false;
-    this.dfuState.packets = [];
-    this.dfuState.totalPackets = 0;
-    this.dfuState.packetIndex = 0;
-    this.dfuState.currentBlockId = 0;
-    this.dfuState.imgArray = "";
-    this.dfuState.imgArrayLen = 0;
+  parseValueToNumber(raw) {
+    if (raw === null || raw === undefined) return null;
+    if (typeof raw === 'number') return raw;
+    const str = ('' + raw).trim();
+    if (str.length === 0) return null;
+    if (/^0x[0-9a-f]+$/i.test(str)) return parseInt(str, 16);
+    if (/^[-+]?\d+$/.test(str)) return parseInt(str, 10);
+    return null;
   }
   
   /**
-   * Send next DFU part
+   * Parse a byte-sequence value (array, "0xA1B2", "a1 b2", "161 178" or text) to bytes
    */
-  sendNextDFUPart() {
-    if (this.dfuState.packetIndex >= this.dfuState.packets.length) {
-      this.log("DFU: No more packets to send", 'error');
-      return;
-    }
-    this.log(`Sending packet: ${this.dfuState.packets[this.dfuState.packetIndex]}`, 'info');
-    this.sendCommand(this.hexToBytes("0065" + this.dfuState.packets[this.dfuState.packetIndex])).catch(error => {
-      this.log(`Send Error: ${error.message}`, 'error');
-      if (this.dfuState.onError) {
-        this.dfuState.onError(error);
+  parseValueToBytes(raw) {
+    if (Array.isArray(raw) || raw instanceof Uint8Array) return Array.from(raw);
+    const str = ('' + raw).trim();
+    if (str.startsWith('0x') || str.startsWith('0X') || /^([0-9a-f]{2}\s*)+$/i.test(str)) {
+      const hex = str.replace(/^0x/i, '').replace(/[^0-9a-f]/gi, '');
+      const out = [];
+      for (let i = 0; i + 1 < hex.length; i += 2) {
+        out.push(parseInt(hex.substr(i, 2), 16));
       }
-    });
+      if (hex.length % 2 === 1) {
+        out.push(parseInt(hex.substr(hex.length - 1), 16));
+      }
+      return out;
+    }
+    if (/^\d+(\s+\d+)*$/.test(str)) {
+      return str.split(/\s+/).map(x => parseInt(x, 10) & 0xFF);
+    }
+    return Array.from(new TextEncoder().encode(str));
   }
   
   /**
-   * Send DFU block data
+   * Encode a single field value using its YAML definition
+   * Counterpart of decodeField(): honours size, type (string/bytes),
+   * endian and signed.
+   * @param {Object} fieldDef - Field definition from YAML
+   * @param {*} raw - Field value (number, numeric string, text or byte array)
+   * @returns {Array} Field bytes
    */
-  async sendDFUBlockData(blockId, largeHexData = null) {
-    const hexData = largeHexData || this.dfuState.imgArray;
-    const blockSizeHex = (DFU_BLOCK_DATA_SIZE * 2);
-    const totalBlocks = Math.ceil(hexData.length / blockSizeHex);
+  encodeField(fieldDef, raw) {
+    const size = this.parseSizeToken(fieldDef.size);
+    const isEmpty = raw === null || raw === undefined || raw === '';
     
-    if (blockId >= totalBlocks) {
-      this.log(`Block ID ${blockId} exceeds total blocks (${totalBlocks}).`, 'error');
-      if (this.dfuState.onError) {
-        this.dfuState.onError(new Error(`Block ID ${blockId} exceeds total blocks`));
-      }
-      return;
+    // Variable size field - emit whatever was given
+    if (size === null) {
+      return isEmpty ? [] : this.parseValueToBytes(raw);
     }
     
-    const start = blockId * blockSizeHex;
-    const end = start + blockSizeHex;
-    const blockHexData = hexData.substring(start, end);
-    this.log(`Processing block ${blockId + 1}/${totalBlocks}...`, 'info');
+    const pad = (bytes) => {
+      const out = bytes.slice(0, size);
+      while (out.length < size) out.push(0);
+      return out;
+    };
     
-    // hexToByteArray creates a special format with length prefix and CRC
-    const dataBytes = (() => {
-      const byteArray = [];
-      byteArray.push((blockHexData.length / 2) & 0xff);
-      byteArray.push(((blockHexData.length / 2) >> 8) & 0xff);
-      byteArray.push(0x00);
-      byteArray.push(0x00);
-      let theCrc = 0;
-      for (let i = 0; i < blockHexData.length; i += 2) {
-        theCrc += parseInt(blockHexData.substring(i, i + 2), 16);
-        byteArray.push(parseInt(blockHexData.substring(i, i + 2), 16));
+    if (fieldDef.type === 'string') {
+      return pad(isEmpty ? [] : Array.from(new TextEncoder().encode('' + raw)));
+    }
+    
+    const isBytes = fieldDef.type === 'bytes' || size > 4;
+    if (isBytes && !isEmpty && typeof raw !== 'number') {
+      return pad(this.parseValueToBytes(raw));
+    }
+    
+    let value = this.parseValueToNumber(raw);
+    if (value === null) {
+      if (!isEmpty) {
+        this.log(`Field ${fieldDef.name}: cannot encode value "${raw}", using 0`, 'warning');
       }
-      byteArray[2] = theCrc & 0xff;
-      byteArray[3] = (theCrc >> 8) & 0xff;
-      return byteArray;
-    })();
+      value = 0;
+    }
+    if (value < 0) {
+      if (!fieldDef.signed) {
+        this.log(`Field ${fieldDef.name}: negative value ${value} in unsigned field`, 'warning');
+      }
+      value += Math.pow(2, size * 8);
+    }
     
-    this.dfuState.packets = [];
-    this.dfuState.totalPackets = Math.ceil(dataBytes.length / DFU_BLOCK_PART_DATA_SIZE);
-    for (let i = 0; i < this.dfuState.totalPackets; i++) {
-      const startIdx = i * DFU_BLOCK_PART_DATA_SIZE;
-      const slice = dataBytes.slice(startIdx, startIdx + DFU_BLOCK_PART_DATA_SIZE);
-      const packet = new BlockPart(blockId, i, slice);
-      this.dfuState.packets.push(packet.toHexString());
+    const bytes = [];
+    for (let i = 0; i < size; i++) {
+      bytes.push(value % 256);
+      value = Math.floor(value / 256);
     }
-    this.dfuState.packetIndex = 0;
-    this.sendNextDFUPart();
+    return fieldDef.endian === 'big' ? bytes.reverse() : bytes;
   }
   
   /**
-   * Start DFU upload
-   * @param {string} hexData - Hex string of firmware data
-   * @param {Object} options - Options with onProgress, onComplete, onError callbacks
+   * Encode one packet payload (without number/id header)
+   * @param {number} packetId - Packet type ID
+   * @param {Object} fields - Field values keyed by field name
    */
-  async startDFUUpload(hexData, options = {}) {
-    if (!this.isConnected) {
-      throw new Error('Not connected');
+  encodePacketFields(packetId, fields = {}) {
+    const packetDef = this.getPacketDefinition(packetId);
+    if (!packetDef || !packetDef.fields) {
+      throw new Error(`Unknown packet type ${packetId}`);
     }
-    
-    if (this.dfuState.active) {
-      throw new Error('DFU upload already in progress');
+    const bytes = [];
+    for (const fieldDef of packetDef.fields) {
+      bytes.push(...this.encodeField(fieldDef, fields[fieldDef.name]));
     }
-    
-    this.dfuState.active = true;
-    this.dfuState.imgArray = hexData;
-    this.dfuState.imgArrayLen = hexData.length;
-    this.dfuState.onProgress = options.onProgress || null;
-    this.dfuState.onComplete = options.onComplete || null;
-    this.dfuState.onError = options.onError || null;
-    
-    // DFU upload starts when device sends block request (0x00C6)
-    // The handler will automatically process it
+    return bytes;
   }
   
   /**
-   * Reconstruct config from chunks
+   * Encode a full config (outer packet with length and CRC)
+   * @param {Array} packets - [{ id, fields }] as used by the builder and JSON exports;
+   *   packets unknown to the schema are given as [{ id, payload }] with the raw
+   *   payload as hex (see decodeAndMigrateConfig())
+   * @param {Object} options - { version } (defaults to ble_proto.version)
+   * @returns {Array} Config bytes ready for writeConfig()
    */
-  reconstructConfig() {
-    const configBytes = [];
-    // Get all chunk numbers and sort them
-    const chunkNumbers = Object.keys(this.configReadState.chunks).map(Number).sort((a, b) => a - b);
+  encodeConfig(packets, options = {}) {
+    const version = options.version !== undefined ? options.version
+      : (this.protocolSpec && this.protocolSpec.version) || 1;
+    
+    const body = [];
+    (packets || []).forEach((packet, seq) => {
+      const packetId = typeof packet.id === 'number' ? packet.id : parseInt(packet.id, 10);
+      body.push(seq & 0xFF, packetId & 0xFF);
+      if (packet.payload !== undefined) {
+        // Opaque packet (unknown to this schema): written back byte for byte
+        body.push(...this.parseValueToBytes(packet.payload));
+      } else {
+        body.push(...this.encodePacketFields(packetId, packet.fields));
+      }
+    });
+    return this.wrapConfigEnvelope(body, version);
+  }
+  
+  /**
+   * Add the length prefix, version byte and CRC16 around a packet stream
+   * @param {Array|Uint8Array} body - Packets as [number][id][payload]...
+   * @param {number} version - Schema major version
+   * @returns {Array} Config bytes
+   */
+  wrapConfigEnvelope(body, version) {
+    const outer = [0, 0, version & 0xFF, ...body];
+    const totalLength = outer.length + 2;
+    outer[0] = totalLength & 0xFF;
+    outer[1] = (totalLength >> 8) & 0xFF;
+    const crc = this.crc16ccitt(outer);
+    outer.push(crc & 0xFF, (crc >> 8) & 0xFF);
+    return outer;
+  }
+  
+  /**
+   * Bring a raw config blob into the enveloped form stored on the device
+   * A blob whose length prefix or trailing CRC16 matches is taken as
+   * enveloped ([length LE][version][packets][CRC16 LE]); anything else is
+   * taken as the bare packet stream and wrapped with the loaded schema version.
+   * @param {Uint8Array|Array} bytes - Enveloped blob or bare packet stream
+   * @returns {Object} { bytes: Uint8Array, enveloped, lengthOk, crcOk }
+   */
+  unwrapConfigBlob(bytes) {
+    const view = bytes instanceof Uint8Array ? bytes : Uint8Array.from(bytes);
+    if (view.length >= 5) {
+      const lengthOk = (view[0] | (view[1] << 8)) === view.length;
+      const crcGiven = view[view.length - 2] | (view[view.length - 1] << 8);
+      const crcOk = this.crc16ccitt(view.slice(0, view.length - 2)) === crcGiven;
+      if (lengthOk || crcOk) {
+        return { bytes: view, enveloped: true, lengthOk, crcOk };
+      }
+    }
+    if (view.length < 2) {
+      throw new Error('Config data too short');
+    }
+  
+    const version = (this.protocolSpec && this.protocolSpec.version) || 1;
+    const wrapped = Uint8Array.from(this.wrapConfigEnvelope(view, version));
+    return { bytes: wrapped, enveloped: false, lengthOk: true, crcOk: true };
+  }
+  
+  /**
+   * Validate a device config across packets before it is built or written
+   * Reports, per field: GPIOs assigned to more than one role, duplicate
+   * instance_number in repeatable packets, missing required packets and pin
+   * numbers outside the range of the selected ic_type. Pin fields and GPIO
+   * counts come from the `pin`, `unset` and `gpio_count` YAML attributes; strapping
+   * and reserved pins are reported as warnings via the pin database.
+   * @param {Array} packets - [{ id, fields }] as used by encodeConfig()
+   * @returns {Object} { errors: [issue], warnings: [issue] } where issue is
+   *   { packetIndex, packetId, packetName, field, message }
+   */
+  validateConfig(packets) {
+    const errors = [];
+    const warnings = [];
+    const packetTypes = (this.protocolSpec && this.protocolSpec.packet_types) || {};
+    const issue = (list, packetIndex, packetId, field, message) => {
+      const packetDef = packetTypes[packetId];
+      list.push({
+        packetIndex,
+        packetId,
+        packetName: packetDef ? packetDef.name : `packet ${packetId}`,
+        field,
+        message
+      });
+    };
     
-    for (const chunkNum of chunkNumbers) {
-      if (this.configReadState.chunks[chunkNum]) {
-        configBytes.push(...this.configReadState.chunks[chunkNum]);
+    const list = (packets || []).map((packet, index) => ({
+      index,
+      id: typeof packet.id === 'number' ? packet.id : parseInt(packet.id, 10),
+      fields: packet.fields || {}
+    }));
+    
+    // Required packets and repeat rules
+    for (const [key, packetDef] of Object.entries(packetTypes)) {
+      const packetId = parseInt(key, 10);
+      const found = list.filter(p => p.id === packetId);
+      if (packetDef.required && found.length === 0) {
+        issue(errors, null, packetId, null, `required packet ${packetDef.name} is missing`);
+      }
+      if (!packetDef.repeatable && found.length > 1) {
+        found.slice(1).forEach(p => issue(errors, p.index, packetId, null, `${packetDef.name} may only appear once`));
+      }
+      if (packetDef.repeatable && found.length > 1) {
+        const seen = {};
+        for (const p of found) {
+          const instance = this.parseValueToNumber(p.fields.instance_number) || 0;
+          if (seen[instance] !== undefined) {
+            issue(errors, p.index, packetId, 'instance_number', `duplicate instance_number ${instance} (also used by ${packetDef.name} #${seen[instance] + 1})`);
+          } else {
+            seen[instance] = found.indexOf(p);
+          }
+        }
       }
     }
     
-    this.log(`Reconstructed config: ${configBytes.length} bytes (expected: ${this.configReadState.totalLength}) from ${chunkNumbers.length} chunks`, 'info');
+    // Secrets left as placeholders by a redacted export or share link
+    this.findSecrets(packets).filter(secret => secret.placeholder).forEach(secret => {
+      issue(errors, secret.packetIndex, secret.packetId, secret.field, 'secret placeholder not filled in');
+    });
     
-    if (configBytes.length !== this.configReadState.totalLength) {
-      this.log(`WARNING: Length mismatch! Expected ${this.configReadState.totalLength}, got ${configBytes.length}`, 'warning');
+    // GPIO range of the selected IC
+    let gpioCount = null;
+    let icName = null;
+    const systemConfig = list.find(p => p.id === 1);
+    const systemDef = packetTypes[1];
+    if (systemConfig && systemDef && systemDef.fields) {
+      const icField = systemDef.fields.find(f => f.name === 'ic_type');
+      const icType = this.parseValueToNumber(systemConfig.fields.ic_type);
+      const icEntry = icField && icField.enum && icType !== null ? icField.enum[icType] : null;
+      if (icEntry) {
+        gpioCount = icEntry.gpio_count || null;
+        icName = icEntry.name;
+      } else if (icField) {
+        issue(warnings, systemConfig.index, 1, 'ic_type', `unknown ic_type ${systemConfig.fields.ic_type}, pin ranges not checked`);
+      }
     }
     
-    // Call callback BEFORE resetting state
-    if (this.configReadState.onComplete) {
-      this.log(`Calling config read callback with ${configBytes.length} bytes`, 'info');
-      try {
-        this.configReadState.onComplete(configBytes, null);
-      } catch (error) {
-        this.log(`Error in config read callback: ${error.message}`, 'error');
+    // Pin assignments (0xFF = unused, or whatever the field lists in `unset`)
+    const label = (p) => {
+      const sameType = list.filter(other => other.id === p.id);
+      const name = packetTypes[p.id].name;
+      return sameType.length > 1 ? `${name} #${sameType.indexOf(p) + 1}` : name;
+    };
+    const pinUsers = {};
+    for (const p of list) {
+      const packetDef = packetTypes[p.id];
+      if (!packetDef || !packetDef.fields) continue;
+      for (const fieldDef of packetDef.fields) {
+        if (!fieldDef.pin) continue;
+        const pin = this.parseValueToNumber(p.fields[fieldDef.name]);
+        if (pin === null || this.isUnsetPin(fieldDef, pin)) continue;
+        if (gpioCount !== null && (pin < 0 || pin >= gpioCount)) {
+          issue(errors, p.index, p.id, fieldDef.name, `pin ${pin} is out of range for ${icName} (0-${gpioCount - 1})`);
+        } else if (icName && this.pinWarning) {
+          const pinWarning = this.pinWarning(icName, pin, gpioCount);
+          if (pinWarning) {
+            issue(warnings, p.index, p.id, fieldDef.name, pinWarning);
+          }
+        }
+        (pinUsers[pin] = pinUsers[pin] || []).push({ packet: p, fieldDef });
       }
-    } else {
-      this.log('WARNING: Config read completed but no callback was set', 'warning');
+    }
+    for (const [pin, users] of Object.entries(pinUsers)) {
+      if (users.length < 2) continue;
+      users.forEach((user, i) => {
+        const others = users.filter((other, j) => {
+          if (j === i) return false;
+          // `pin: shared` fields may drive the same GPIO within one packet,
+          // `pin: bus` fields may repeat across instances of the packet type
+          const sharedInPacket = other.packet === user.packet && other.fieldDef.pin === 'shared' && user.fieldDef.pin === 'shared';
+          const sharedBus = other.packet !== user.packet && other.packet.id === user.packet.id &&
+            other.fieldDef === user.fieldDef && user.fieldDef.pin === 'bus';
+          return !sharedInPacket && !sharedBus;
+        });
+        if (others.length === 0) return;
+        const roles = others.map(o => `${label(o.packet)}.${o.fieldDef.name}`).join(', ');
+        issue(errors, user.packet.index, user.packet.id, user.fieldDef.name, `GPIO ${pin} is also assigned to ${roles}`);
+      });
     }
     
-    // Reset state AFTER callback
-    this.configReadState.active = false;
-    this.configReadState.chunks = {};
-    this.configReadState.receivedLength = 0;
-    this.configReadState.totalLength = 0;
+    return { errors, warnings };
   }
   
   /**
-   * Read config from device (built-in handler)
+   * Whether a pin field value means "not connected"
+   * That is 0xFF unless the field lists its own values in the YAML `unset` attribute.
+   * @param {Object} fieldDef - Field definition with `pin`
+   * @param {number} pin - Pin value
+   * @returns {boolean}
    */
-  async readConfig(onComplete, onProgress = null) {
-    if (!this.isConnected) {
-      throw new Error('Not connected');
-    }
-    
-    this.configReadState = {
-      active: true,
-      totalLength: 0,
-      receivedLength: 0,
-      chunks: {},
-      expectedChunks: 0,
-      onComplete: onComplete,
-      onProgress: onProgress
+  isUnsetPin(fieldDef, pin) {
+    const unset = fieldDef.unset !== undefined ? [].concat(fieldDef.unset) : [0xFF];
+    return unset.some(value => this.parseValueToNumber(value) === pin);
+  }
+  
+  /**
+   * List the secret fields (YAML `secret: true`, e.g. WiFi credentials) that hold a value
+   * @param {Array} packets - [{ id, fields }] as used by encodeConfig()
+   * @returns {Array} [{ packetIndex, packetId, packetName, field, placeholder }] where
+   *   placeholder tells whether the value is SECRET_PLACEHOLDER
+   */
+  findSecrets(packets) {
+    const secrets = [];
+    (packets || []).forEach((packet, packetIndex) => {
+      const packetId = typeof packet.id === 'number' ? packet.id : parseInt(packet.id, 10);
+      const packetDef = this.getPacketDefinition(packetId);
+      if (!packetDef || !packetDef.fields) return;
+      for (const fieldDef of packetDef.fields) {
+        const value = (packet.fields || {})[fieldDef.name];
+        if (!fieldDef.secret || value === undefined || value === null || value === '') continue;
+        secrets.push({
+          packetIndex,
+          packetId,
+          packetName: packetDef.name,
+          field: fieldDef.name,
+          placeholder: value === SECRET_PLACEHOLDER
+        });
+      }
+    });
+    return secrets;
+  }
+  
+  /**
+   * Replace secret field values with SECRET_PLACEHOLDER for export or sharing
+   * Empty secrets (e.g. the password of an open network) are kept as they are.
+   * @param {Array} packets - [{ id, fields }]
+   * @returns {Object} { packets (copies), redacted: [{ packetIndex, packetId, packetName, field }] }
+   */
+  redactSecrets(packets) {
+    const copies = (packets || []).map(packet => ({ ...packet, fields: { ...(packet.fields || {}) } }));
+    const redacted = this.findSecrets(copies).filter(secret => !secret.placeholder);
+    redacted.forEach(secret => {
+      copies[secret.packetIndex].fields[secret.field] = SECRET_PLACEHOLDER;
+    });
+    return {
+      packets: copies,
+      redacted: redacted.map(({ placeholder, ...secret }) => secret)
     };
-    
-    this.log('Reading current config from device...', 'info');
-    await this.sendHexCommand('0040');
   }
   
   /**
-   * Error handler
+   * Describe a decoded field (see decodeField()) for humans
+   * Uses enum and bit names rather than raw bytes.
+   * @returns {string}
    */
-  handleError(error) {
-    this.log(`Error: ${error.name} - ${error.message}`, 'error');
-    this.setStatus(`Error: ${error.message}`, false);
-    
-    if (this.onError) {
-      this.onError(error);
+  describeDecodedField(decoded) {
+    if (!decoded) return '';
+    switch (decoded.type) {
+      case 'string':
+        return `"${decoded.value}"`;
+      case 'bytes':
+        return decoded.raw.every(b => b === 0) ? 'all zero' : this.bytesToHex(decoded.raw);
+      case 'enum':
+        return decoded.name ? `${decoded.name} (${decoded.value})` : `${decoded.value} (unknown)`;
+      case 'bits': {
+        const set = Object.entries(decoded.flags).filter(([, on]) => on).map(([name]) => name);
+        return set.length ? set.join(', ') : 'none';
+      }
+      default:
+        return `${decoded.value} (0x${decoded.value.toString(16)})`;
     }
   }
   
   /**
-   * Utility: Convert hex string to Uint8Array
+   * Merge layered preset configs (base preset, presets that `extends` it, overlays)
+   * Each layer is migrated to the loaded schema first. Packets are matched by
+   * packet id (or name) and instance_number; a matching packet gets the layer's
+   * fields overridden, an unmatched one is added and `remove: true` drops it.
+   * @param {Array} layers - [{ name, config: { version, minor_version, packets } }], base first
+   * @returns {Object} { config, changes, from, to } where every merged packet
+   *   carries `layer` (the layer that added it) and `origins` ({ field: layer name })
    */
-  hexToBytes(hexString) {
-    if (typeof hexString !== 'string') hexString = '';
-    const cleanHex = hexString.replace(/[^0-9a-fA-F]/g, '');
-    if (cleanHex.length % 2 !== 0) {
-      this.log('Odd hex string length, padding with 0', 'warning');
-      return new Uint8Array(0);
-    }
-    const bytes = new Uint8Array(cleanHex.length / 2);
-    for (let i = 0; i < bytes.length; i++) {
-      bytes[i] = parseInt(cleanHex.substr(i * 2, 2), 16);
+  mergeConfigLayers(layers) {
+    const packets = [];
+    const changes = [];
+    let base = null;
+    const keyOf = (packetId, fields) => {
+      const instance = fields && fields.instance_number !== undefined ? this.parseValueToNumber(fields.instance_number) : 0;
+      return `${packetId}:${instance}`;
+    };
+  
+    for (const layer of layers) {
+      const migration = this.migrateConfig(layer.config || {});
+      changes.push(...migration.changes.map(change => ({ ...change, message: `${change.message} [${layer.name}]` })));
+      if (!base && layer.config && layer.config.version !== undefined) base = migration;
+  
+      for (const packet of migration.config.packets) {
+        const packetId = this.resolvePacketId(packet.id);
+        if (packetId === null) {
+          throw new Error(`Layer ${layer.name}: unknown packet ${packet.id}`);
+        }
+        const key = keyOf(packetId, packet.fields);
+        const existing = packets.find(p => p.key === key);
+        if (packet.remove) {
+          if (existing) packets.splice(packets.indexOf(existing), 1);
+          continue;
+        }
+        const target = existing || { key, id: String(packetId), layer: layer.name, fields: {}, origins: {} };
+        if (!existing) {
+          const packetDef = this.getPacketDefinition(packetId);
+          if (packetDef) target.name = packetDef.name;
+          packets.push(target);
+        }
+        Object.entries(packet.fields || {}).forEach(([name, value]) => {
+          target.fields[name] = value;
+          target.origins[name] = layer.name;
+        });
+      }
     }
-    return bytes;
+  
+    const [version, minorVersion] = this.parseSchemaVersion(this.schemaVersionKey(this.protocolSpec || {}));
+    return {
+      config: {
+        version,
+        minor_version: minorVersion,
+        packets: packets.map(({ key, ...packet }) => packet)
+      },
+      changes,
+      from: base ? base.from : null,
+      to: this.schemaVersionKey(this.protocolSpec || {})
+    };
   }
   
   /**
-   * Utility: Convert ArrayBuffer/Uint8Array to hex string (space-separated)
+   * Derive preset manifest metadata (see presets/index.json) from a config
+   * @param {Object|Array|Uint8Array} config - { packets: [{ id, fields }] } or config bytes
+   * @returns {Object} { ic, manufacturer, board, panel_ic, resolution, color_scheme,
+   *   communication_modes }; values missing from the config are null
    */
-  bytesToHex(buffer) {
-    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
-    return Array.from(bytes).map(b => b.toString(16).padStart(2, '0').toUpperCase()).join(' ');
+  describePresetConfig(config) {
+    const isBytes = config instanceof Uint8Array || (Array.isArray(config) && typeof config[0] === 'number');
+    const bytes = isBytes ? config : this.encodeConfig(this.fromSymbolicConfig(this.migrateConfig(config || {}).config).packets);
+    const parsed = this.parseConfigBytes(bytes);
+    const fieldsOf = (name) => {
+      const packet = parsed.packets.find(p => p.name === name);
+      return packet && packet.fields ? packet.fields : {};
+    };
+    const enumName = (decoded) => decoded && decoded.type === 'enum' ? decoded.name || String(decoded.value) : null;
+  
+    const system = fieldsOf('system_config');
+    const manufacturer = fieldsOf('manufacturer_data');
+    const display = fieldsOf('display');
+    const modes = system.communication_modes && system.communication_modes.flags;
+    return {
+      ic: enumName(system.ic_type),
+      manufacturer: enumName(manufacturer.manufacturer_id),
+      board: enumName(manufacturer.board_type),
+      panel_ic: enumName(display.panel_ic_type),
+      resolution: display.pixel_width && display.pixel_height
+        ? `${display.pixel_width.value}x${display.pixel_height.value}` : null,
+      color_scheme: enumName(display.color_scheme),
+      communication_modes: modes
+        ? Object.keys(modes).filter(name => modes[name] && !name.startsWith('reserved')) : []
+    };
   }
   
   /**
-   * Convert hex string to Uint8Array (continuous hex, no spaces)
+   * Convert a config to the symbolic JSON form
+   * Enums become their YAML names, bitfields lists of flag names (bit numbers
+   * for unnamed bits), strings stay text, byte blocks a hex string (0 if all
+   * zero) and everything else plain integers. Only fields present in the
+   * input are written. fromSymbolicConfig() converts back without loss.
+   * @param {Object} config - { version, minor_version, packets: [{ id, fields }] }
+   * @returns {Object} The same config with `format: 'symbolic'` and symbolic field values
    */
-  hexToUint8Array(hex) {
-    if (typeof hex !== 'string') {
-      return new Uint8Array(0);
-    }
-    const cleanHex = hex.replace(/[^0-9a-fA-F]/g, '');
-    if (cleanHex.length % 2 !== 0) {
-      this.log('Odd hex string length', 'warning');
-      return new Uint8Array(0);
-    }
-    const byteLength = Math.floor(cleanHex.length / 2);
-    const bytes = new Uint8Array(byteLength);
-    for (let i = 0; i < byteLength; i++) {
-      const byteHex = cleanHex.substr(i * 2, 2);
-      bytes[i] = parseInt(byteHex, 16);
-      if (isNaN(bytes[i])) {
-        this.log(`Invalid hex byte "${byteHex}" at position ${i * 2}`, 'warning');
-        bytes[i] = 0;
+  toSymbolicConfig(config) {
+    const packets = (config.packets || []).map(packet => {
+      const packetId = this.resolvePacketId(packet.id);
+      const packetDef = this.getPacketDefinition(packetId);
+      if (!packetDef || !packetDef.fields) return packet;
+  
+      const fields = {};
+      const decodedFields = {};
+      for (const fieldDef of packetDef.fields) {
+        const raw = (packet.fields || {})[fieldDef.name];
+        const bytes = this.encodeField(fieldDef, raw);
+        const decoded = this.decodeField(fieldDef, bytes, decodedFields);
+        decodedFields[fieldDef.name] = decoded;
+        if (raw === undefined) continue;
+        fields[fieldDef.name] = this.symbolicValue(fieldDef, decoded);
       }
-    }
-    return bytes;
+      return { ...packet, name: packetDef.name, fields };
+    });
+    return { ...config, format: 'symbolic', packets };
   }
   
   /**
-   * Parse Uint8 from hex string (little-endian, 2 hex chars)
+   * Symbolic value of a decoded field (see toSymbolicConfig())
    */
-  fromHexUint8(hex) {
-    return parseInt(hex.substring(0, 2), 16);
+  symbolicValue(fieldDef, decoded) {
+    switch (decoded.type) {
+      case 'string':
+        return decoded.value;
+      case 'bytes':
+        return decoded.raw.every(b => b === 0) ? 0 : '0x' + decoded.raw.map(b => b.toString(16).padStart(2, '0')).join('');
+      case 'enum':
+        return decoded.name || decoded.value;
+      case 'bits': {
+        const flags = [];
+        for (let bit = 0; bit < decoded.raw.length * 8; bit++) {
+          if (!(decoded.value & (2 ** bit))) continue;
+          const bitDef = fieldDef.bits[bit];
+          flags.push(bitDef && bitDef.name ? bitDef.name : bit);
+        }
+        return flags;
+      }
+      default:
+        return decoded.value;
+    }
   }
   
   /**
-   * Parse Uint16 from hex string (little-endian, 4 hex chars)
+   * Convert symbolic field values (see toSymbolicConfig()) back to the numeric form
+   * Values already in numeric form (numeric strings, hex, text) are kept as
+   * they are, so any config can be passed through. Unknown enum or flag names
+   * are logged and left unchanged.
+   * @param {Object} config - Symbolic or numeric config
+   * @returns {Object} Config with numeric string values and without `format`
    */
-  fromHexUint16LE(hex) {
-    return parseInt(hex.substring(2, 4) + hex.substring(0, 2), 16);
+  fromSymbolicConfig(config) {
+    const packets = (config.packets || []).map(packet => {
+      const packetId = this.resolvePacketId(packet.id);
+      const packetDef = this.getPacketDefinition(packetId);
+      if (!packetDef || !packetDef.fields) return packet;
+  
+      const fields = { ...(packet.fields || {}) };
+      for (const fieldDef of packetDef.fields) {
+        if (fields[fieldDef.name] === undefined) continue;
+        fields[fieldDef.name] = this.numericValue(fieldDef, fields[fieldDef.name], fields, packetDef.name);
+      }
+      return { ...packet, id: String(packetId), fields };
+    });
+    const { format, ...rest } = config;
+    return { ...rest, packets };
   }
   
   /**
-   * Parse Uint32 from hex string (little-endian, 8 hex chars)
+   * Numeric form of one symbolic field value (see fromSymbolicConfig())
+   * @param {Object} fields - Fields of the packet converted so far (for conditional_enum)
    */
-  fromHexUint32LE(hex) {
-    return parseInt(hex.substring(6, 8) + hex.substring(4, 6) + hex.substring(2, 4) + hex.substring(0, 2), 16) >>> 0;
+  numericValue(fieldDef, value, fields, packetName) {
+    const size = this.parseSizeToken(fieldDef.size);
+    if (fieldDef.type === 'string' || fieldDef.type === 'bytes' || size === null || size > 4) {
+      return typeof value === 'number' ? '0x' + value.toString(16) : value;
+    }
+  
+    if (fieldDef.bits && Array.isArray(value)) {
+      let bits = 0;
+      for (const flag of value) {
+        const bit = typeof flag === 'number'
+          ? flag
+          : Object.keys(fieldDef.bits).find(b => fieldDef.bits[b] && fieldDef.bits[b].name === flag);
+        if (bit === undefined) {
+          this.log(`${packetName}.${fieldDef.name}: unknown flag "${flag}" ignored`, 'warning');
+          continue;
+        }
+        bits += 2 ** parseInt(bit, 10);
+      }
+      return '0x' + bits.toString(16);
+    }
+  
+    if (typeof value === 'number') {
+      return String(value);
+    }
+    // YAML reads enum names such as true/false as booleans
+    if (typeof value === 'boolean') {
+      value = String(value);
+    }
+    if (typeof value !== 'string' || this.parseValueToNumber(value) !== null) {
+      return value;
+    }
+  
+    let enumValues = fieldDef.enum || null;
+    if (!enumValues && fieldDef.conditional_enum) {
+      const dependency = this.parseValueToNumber(fields[fieldDef.conditional_enum.depends_on]);
+      enumValues = dependency !== null ? (fieldDef.conditional_enum.values || {})[dependency] || null : null;
+    }
+    const entries = Object.entries(enumValues || {});
+    const match = entries.find(([, def]) => def && String(def.name) === value) ||
+      entries.find(([, def]) => def && String(def.name).toLowerCase() === value.toLowerCase());
+    if (!match) {
+      this.log(`${packetName}.${fieldDef.name}: unknown value "${value}"`, 'warning');
+      return value;
+    }
+    return match[0];
   }
   
   /**
-   * Get packet size for a given packet ID (from YAML)
+   * Compare two configs field by field
+   * Packets are paired by id and instance_number (or order for packets
+   * without one). Values are compared as encoded bytes, so "0x1" and "1"
+   * are equal.
+   * @param {Object|Array|Uint8Array} before - { packets: [{ id, fields }] } or config bytes
+   * @param {Object|Array|Uint8Array} after - { packets: [{ id, fields }] } or config bytes
+   * @returns {Object} { packets: [{ status: 'added'|'removed'|'changed'|'unchanged',
+   *   packetId, packetName, instance, fields: [{ name, before, after }] }],
+   *   changedFields, addedPackets, removedPackets }
    */
-  getPacketSize(packetId) {
-    // If YAML hasn't loaded yet, log warning
-    if (Object.keys(this.packetSizes).length === 0) {
-      if (this.configYAML === null) {
-        this.log(`Packet size lookup for 0x${packetId.toString(16)}: YAML not loaded yet, packet sizes unavailable`, 'warning');
-      } else {
-        this.log(`Packet size lookup for 0x${packetId.toString(16)}: YAML loaded but no packet sizes calculated (parsing may have failed)`, 'warning');
+  diffConfigs(before, after) {
+    const toPackets = (config) => {
+      const isBytes = config instanceof Uint8Array || (Array.isArray(config) && typeof config[0] === 'number');
+      const migrated = isBytes ? this.decodeAndMigrateConfig(config) : this.migrateConfig(config || {});
+      return this.fromSymbolicConfig(migrated.config).packets || [];
+    };
+    
+    // Key packets by id + instance so repeatable packets pair up correctly
+    const index = (packets) => {
+      const map = new Map();
+      const seen = {};
+      for (const packet of packets) {
+        const packetId = parseInt(packet.id, 10);
+        const packetDef = this.getPacketDefinition(packetId);
+        if (!packetDef) {
+          if (packet.payload === undefined) continue;
+          // Opaque packet: compared as one raw payload field
+          const base = `${packetId}:`;
+          seen[base] = (seen[base] || 0) + 1;
+          const raw = this.parseValueToBytes(packet.payload);
+          map.set(`${base}#${seen[base]}`, {
+            packetId,
+            packetName: `unknown packet 0x${packetId.toString(16).padStart(2, '0').toUpperCase()}`,
+            instance: null,
+            decoded: { payload: { type: 'bytes', value: raw, raw } }
+          });
+          continue;
+        }
+        const instanceValue = this.parseValueToNumber((packet.fields || {}).instance_number);
+        const base = `${packetId}:${instanceValue !== null ? instanceValue : ''}`;
+        seen[base] = (seen[base] || 0) + 1;
+        const payload = this.encodePacketFields(packetId, packet.fields || {});
+        map.set(`${base}#${seen[base]}`, {
+          packetId,
+          packetName: packetDef.name,
+          instance: instanceValue,
+          decoded: this.decodePacketFields(packetId, payload)
+        });
       }
-      return null;
-    }
+      return map;
+    };
     
-    const size = this.packetSizes[packetId];
-    if (size === undefined) {
-      this.log(`Packet size lookup for 0x${packetId.toString(16)} (${packetId}): Unknown packet type. Available: ${Object.keys(this.packetSizes).map(k => '0x' + parseInt(k).toString(16) + '(' + k + ')').join(', ') || 'none'}`, 'warning');
+    const beforeMap = index(toPackets(before));
+    const afterMap = index(toPackets(after));
+    const keys = [...new Set([...beforeMap.keys(), ...afterMap.keys()])]
+      .sort((a, b) => parseInt(a, 10) - parseInt(b, 10));
+    
+    const result = { packets: [], changedFields: 0, addedPackets: 0, removedPackets: 0 };
+    for (const key of keys) {
+      const a = beforeMap.get(key);
+      const b = afterMap.get(key);
+      const ref = a || b;
+      const entry = { status: 'unchanged', packetId: ref.packetId, packetName: ref.packetName, instance: ref.instance, fields: [] };
+      const packetDef = this.getPacketDefinition(ref.packetId);
+      const fieldDefs = packetDef ? packetDef.fields || [] : [{ name: 'payload' }];
+      
+      for (const fieldDef of fieldDefs) {
+        const name = fieldDef.name;
+        const oldValue = a ? a.decoded[name] : null;
+        const newValue = b ? b.decoded[name] : null;
+        const same = oldValue && newValue && oldValue.raw.length === newValue.raw.length &&
+          oldValue.raw.every((byte, i) => byte === newValue.raw[i]);
+        if (same) continue;
+        // Reserved fields only show up when they actually differ
+        if ((!a || !b) && name.startsWith('reserved')) continue;
+        entry.fields.push({
+          name,
+          before: oldValue ? this.describeDecodedField(oldValue) : null,
+          after: newValue ? this.describeDecodedField(newValue) : null
+        });
+      }
+      
+      if (!a) {
+        entry.status = 'added';
+        result.addedPackets++;
+      } else if (!b) {
+        entry.status = 'removed';
+        result.removedPackets++;
+      } else if (entry.fields.length) {
+        entry.status = 'changed';
+        result.changedFields += entry.fields.length;
+      }
+      result.packets.push(entry);
     }
-    return size || null;
+    return result;
   }
   
   /**
-   * Get field offset for a packet type and field name (from YAML)
+   * Write config to device
+   * The config goes out in frames of up to CONFIG_WRITE_CHUNK_SIZE bytes: the
+   * first (with the total length when there is more than one) as 0x0041, the
+   * rest as 0x0042.
+   * On a device that acks every frame with 0xCE, each frame waits for the ack
+   * of the one before. Released firmware only acks the complete config, so
+   * there the frames are paced a fixed chunkDelay apart. Which of the two a
+   * device does is checked on the first chunked write of a connection: an
+   * ack for the first frame within CONFIG_WRITE_ACK_PROBE_TIMEOUT means per-frame
+   * acks (the chunkAcks and configWriteChunkAcks options skip the check).
+   * Frames carry no offset, so a lost one cannot be sent again on its own:
+   * when a frame stays unacked for ackTimeout, or the complete config for
+   * timeout, the whole write restarts from 0x0041, up to
+   * CONFIG_WRITE_MAX_RETRIES times. Acks that arrive in the pause before the
+   * restart belong to the abandoned attempt and are dropped.
+   * Resolves on the 0xCE for the last frame, which means the config was
+   * stored; rejects on 0xCF, when retries run out, on disconnect and on abort
+   * (see trackOperation()).
+   * Queued behind any running device operation (see enqueueOperation()).
+   * @param {Uint8Array|Array} configBytes - Config bytes (with length and CRC16)
+   * @param {Object} options - { onProgress(sent, total) (bytes acked, or sent when paced),
+   *   timeout (ms to wait for the ack of the complete config, which includes the flash write; 0 for none),
+   *   chunkAcks (whether the device acks every frame), ackTimeout (ms per earlier frame when it does),
+   *   chunkDelay (ms between paced frames), signal (AbortSignal) }
+   * @returns {Promise<void>}
    */
-  getFieldOffset(packetId, fieldName) {
-    const offsets = this.packetFieldOffsets[packetId];
-    if (!offsets) return null;
-    return offsets[fieldName] !== undefined ? offsets[fieldName] : null;
+  writeConfig(configBytes, options = {}) {
+    if (typeof options === 'function') {
+      return this.settleLegacyCallback('writeConfig', this.writeConfig(configBytes),
+        error => options(error));
+    }
+    return this.enqueueOperation('Config write', ['configWrite'],
+      signal => this.performConfigWrite(configBytes, { ...options, signal }), options);
   }
   
   /**
-   * Parse display packet fields from raw bytes (using YAML-defined offsets)
-   * @param {Uint8Array} packetData - The display packet payload (starting after packet number and ID)
-   * @returns {Object|null} Parsed display config or null if invalid
+   * Run a config write on the notification stream the caller already owns
    */
-  parseDisplayPacketFields(packetData) {
-    if (!packetData || packetData.length < 22) {
-      return null;
+  performConfigWrite(configBytes, options = {}) {
+    if (!this.isConnected) {
+      return Promise.reject(new Error('Not connected'));
     }
     
-    const packetId = 0x20; // Display packet ID
-    const offsets = this.packetFieldOffsets[packetId];
-    if (!offsets) {
-      this.log('Display packet offsets not available from YAML', 'warning');
-      return null;
+    const bytes = Array.from(configBytes);
+    const chunks = [];
+    for (let start = 0; start < bytes.length || start === 0; start += CONFIG_WRITE_CHUNK_SIZE) {
+      chunks.push(bytes.slice(start, start + CONFIG_WRITE_CHUNK_SIZE));
     }
     
-    const getOffset = (fieldName) => offsets[fieldName];
-    const readUint16 = (offset) => packetData[offset] | (packetData[offset + 1] << 8);
+    let chunkAcks = options.chunkAcks;
+    if (typeof chunkAcks !== 'boolean') chunkAcks = this.configWriteChunkAcks;
+    if (typeof chunkAcks !== 'boolean') chunkAcks = this.detectedChunkAcks;
     
-    const result = {
-      instanceNumber: packetData[getOffset('instance_number')],
-      displayTechnology: packetData[getOffset('display_technology')],
-      panelIcType: readUint16(getOffset('panel_ic_type')),
-      pixelWidth: readUint16(getOffset('pixel_width')),
-      pixelHeight: readUint16(getOffset('pixel_height')),
-      activeWidthMm: readUint16(getOffset('active_width_mm')),
-      activeHeightMm: readUint16(getOffset('active_height_mm')),
-      tagType: readUint16(getOffset('legacy_tagtype')),
-      rotation: packetData[getOffset('rotation')],
-      resetPin: packetData[getOffset('reset_pin')],
-      busyPin: packetData[getOffset('busy_pin')],
-      dcPin: packetData[getOffset('dc_pin')],
-      csPin: packetData[getOffset('cs_pin')],
-      dataPin: packetData[getOffset('data_pin')],
-      partialUpdateSupport: packetData[getOffset('partial_update_support')],
-      colorScheme: packetData[getOffset('color_scheme')],
-      transmissionModes: packetData[getOffset('transmission_modes')],
-      clkPin: packetData[getOffset('clk_pin')]
+    // The operation only handles abort and disconnect, ackTimer does the timeouts
+    const operation = this.trackOperation('Config write', { signal: options.signal, timeout: 0 });
+    if (operation.settled) return operation.promise;
+    this.configWriteState = {
+      active: true,
+      operation,
+      chunks,
+      totalLength: bytes.length,
+      // 'acks' (per-frame acks), 'paced' or 'probe' (not known yet)
+      mode: chunkAcks === true ? 'acks' : chunkAcks === false ? 'paced' : 'probe',
+      sentFrames: 0,
+      ackedFrames: 0,
+      ackedLength: 0,
+      reportedLength: 0,
+      attempts: 0,
+      restarting: false,
+      ackTimer: null,
+      ackTimeout: options.ackTimeout || CONFIG_WRITE_ACK_TIMEOUT,
+      finalTimeout: options.timeout !== undefined ? options.timeout : this.commandTimeout,
+      chunkDelay: options.chunkDelay !== undefined ? options.chunkDelay : CONFIG_WRITE_CHUNK_DELAY,
+      onProgress: options.onProgress || null
+    };
+    operation.onSettle = () => {
+      if (this.configWriteState.operation !== operation) return;
+      clearTimeout(this.configWriteState.ackTimer);
+      this.configWriteState.active = false;
+      this.configWriteState.operation = null;
     };
     
-    // full_update_mC is optional (may not be in all packets)
-    const fullUpdateMcOffset = getOffset('full_update_mC');
-    if (fullUpdateMcOffset !== null && packetData.length >= fullUpdateMcOffset + 2) {
-      result.fullUpdateMc = readUint16(fullUpdateMcOffset);
-    } else {
-      result.fullUpdateMc = null;
+    if (chunks.length > 1) {
+      this.log(`Sending ${bytes.length} bytes in ${chunks.length} chunks (${CONFIG_WRITE_CHUNK_SIZE} bytes each)...`, 'info');
     }
-    
-    return result;
+    this.startConfigWriteAttempt();
+    return operation.promise;
   }
   
   /**
-   * Parse power option packet fields from raw bytes (using YAML-defined offsets)
-   * @param {Uint8Array} packetData - The power option packet payload (starting after packet number and ID)
-   * @returns {Object|null} Parsed power option config or null if invalid
+   * Read firmware version from device
+   * Resolves with the 0x43 response; rejects on timeout, disconnect or abort.
+   * Queued behind any running device operation (see enqueueOperation()).
+   * The old readFirmwareVersion(onComplete(versionInfo, error)) form still works.
+   * @param {Object} options - { timeout (ms), signal (AbortSignal) }
+   * @returns {Promise<Object>} { major, minor, sha }
    */
-  parsePowerOptionPacketFields(packetData) {
-    if (!packetData || packetData.length < 18) {
-      return null;
+  readFirmwareVersion(options = {}) {
+    if (typeof options === 'function') {
+      return this.settleLegacyCallback('readFirmwareVersion', this.readFirmwareVersion(),
+        (error, versionInfo) => options(error ? null : versionInfo, error));
     }
-    
-    const packetId = 0x04; // Power option packet ID
-    const offsets = this.packetFieldOffsets[packetId];
-    if (!offsets) {
-      this.log('Power option packet offsets not available from YAML', 'warning');
-      return null;
+    return this.enqueueOperation('Firmware version read', ['firmwareVersion'],
+      signal => this.performFirmwareVersionRead({ ...options, signal }), options);
+  }
+  
+  /**
+   * Run a firmware version read on the notification stream the caller already owns
+   */
+  performFirmwareVersionRead(options = {}) {
+    if (!this.isConnected) {
+      return Promise.reject(new Error('Not connected'));
     }
     
-    const getOffset = (fieldName) => offsets[fieldName];
-    const readUint24 = (offset) => packetData[offset] | (packetData[offset + 1] << 8) | (packetData[offset + 2] << 16);
-    const readUint32 = (offset) => packetData[offset] | (packetData[offset + 1] << 8) | (packetData[offset + 2] << 16) | (packetData[offset + 3] << 24);
-    
-    const batteryCapacityOffset = getOffset('battery_capacity_mah');
-    const deepSleepCurrentOffset = getOffset('deep_sleep_current_ua');
-    
-    const result = {
-      powerMode: packetData[getOffset('power_mode')],
-      batteryCapacity: batteryCapacityOffset !== null ? readUint24(batteryCapacityOffset) : null,
-      deepSleepCurrent: deepSleepCurrentOffset !== null && packetData.length >= deepSleepCurrentOffset + 4 ? 
-                       readUint32(deepSleepCurrentOffset) : null
+    const operation = this.trackOperation('Firmware version read', options);
+    if (operation.settled) return operation.promise;
+    this.firmwareVersionState = { active: true, operation };
+    operation.onSettle = () => {
+      if (this.firmwareVersionState.operation !== operation) return;
+      this.firmwareVersionState.active = false;
+      this.firmwareVersionState.operation = null;
     };
     
-    return result;
+    this.sendNamedCommand('firmware_version').catch(operation.reject);
+    return operation.promise;
   }
   
   /**
-   * Utility: Delay promise
+   * Send a config write from its first frame (see writeConfig())
    */
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  startConfigWriteAttempt() {
+    const state = this.configWriteState;
+    state.restarting = false;
+    state.sentFrames = 0;
+    state.ackedFrames = 0;
+    state.ackedLength = 0;
+    state.reportedLength = 0;
+    this.sendConfigWriteFrame().catch(state.operation.reject);
+    
+    if (state.chunks.length === 1 || state.mode === 'acks') {
+      this.waitForConfigWriteAck();
+    } else if (state.mode === 'paced') {
+      this.sendConfigWritePaced(state.attempts).catch(state.operation.reject);
+    } else {
+      // Probe: an ack for the first frame means the device acks every frame
+      const attempt = state.attempts;
+      clearTimeout(state.ackTimer);
+      state.ackTimer = setTimeout(() => {
+        if (this.configWriteState !== state || !state.active || state.attempts !== attempt || state.mode !== 'probe') return;
+        this.log('No ack for the first config write chunk, pacing the rest', 'info');
+        this.detectedChunkAcks = false;
+        state.mode = 'paced';
+        this.sendConfigWritePaced(attempt).catch(state.operation.reject);
+      }, CONFIG_WRITE_ACK_PROBE_TIMEOUT);
+    }
   }
   
   /**
-   * Calculate CRC16-CCITT checksum
+   * Send the remaining frames of a paced config write chunkDelay apart, then
+   * wait for the ack of the complete config
+   * Stops when the write ends, restarts or turns out to get per-frame acks.
    */
-  crc16ccitt(buf) {
-    let crc = 0xFFFF;
-    const bytes = buf instanceof Uint8Array ? buf : new Uint8Array(buf);
-    for (let b of bytes) {
-      crc ^= (b << 8);
-      for (let i = 0; i < 8; i++) {
-        if (crc & 0x8000) {
-          crc = ((crc << 1) ^ 0x1021) & 0xFFFF;
-        } else {
-          crc = (crc << 1) & 0xFFFF;
-        }
-      }
+  async sendConfigWritePaced(attempt) {
+    const state = this.configWriteState;
+    const current = () => this.configWriteState === state && state.active &&
+      state.attempts === attempt && state.mode === 'paced';
+    this.reportConfigWriteProgress(state.chunks[0].length);
+    while (state.sentFrames < state.chunks.length) {
+      await this.delay(state.chunkDelay);
+      if (!current()) return;
+      await this.sendConfigWriteFrame();
+      if (!current()) return;
+      this.reportConfigWriteProgress(state.chunks.slice(0, state.sentFrames).reduce((sum, chunk) => sum + chunk.length, 0));
     }
-    return crc & 0xFFFF;
+    this.waitForConfigWriteAck();
   }
   
   /**
-   * Convert number to little-endian byte array
+   * Send frame sentFrames of the current config write
    */
-  numToBytesLE(num, size) {
-    const out = [];
-    for (let i = 0; i < size; i++) {
-      out.push(num & 0xFF);
-      num = num >> 8;
+  sendConfigWriteFrame() {
+    const state = this.configWriteState;
+    const index = state.sentFrames++;
+    if (index > 0) {
+      return this.sendNamedCommand('config_write_chunk', { data: state.chunks[index] });
     }
-    return out;
+    if (state.chunks.length > 1) {
+      return this.sendNamedCommand('config_write', { total_length: state.totalLength, data: state.chunks[0] });
+    }
+    return this.sendNamedCommand('config_write', { data: state.chunks[0] });
   }
   
   /**
-   * Write config to device (non-chunked, for small configs)
+   * Time out the next ack of a config write
+   * The ack of the complete config waits for the flash write, so it gets
+   * finalTimeout; an earlier frame gets ackTimeout. Either restarts the write.
    */
-  async writeConfig(configBytes, onComplete) {
-    if (!this.isConnected) {
-      throw new Error('Not connected');
-    }
-    
-    // Set up config write state for ACK handling
-    this.configWriteState.active = true;
-    this.configWriteState.onComplete = onComplete || null;
-    
-    if (configBytes.length > 200) {
-      // Use chunked write for large configs
-      return await this.writeConfigChunked(configBytes);
-    }
-    
-    // Small config - send in one command (0x0041)
-    const hexPayload = this.bytesToHex(configBytes).replace(/\s+/g, '');
-    await this.sendHexCommand('0041' + hexPayload);
+  waitForConfigWriteAck() {
+    const state = this.configWriteState;
+    clearTimeout(state.ackTimer);
+    const final = state.mode === 'paced' || state.ackedFrames === state.chunks.length - 1;
+    const wait = final ? state.finalTimeout : state.ackTimeout;
+    if (!(wait > 0)) return;
+    const attempt = state.attempts;
+    const where = final ? 'the complete config' : `chunk ${state.ackedFrames + 1} of ${state.chunks.length}`;
+    state.ackTimer = setTimeout(() => {
+      if (this.configWriteState !== state || !state.active || state.attempts !== attempt) return;
+      this.restartConfigWrite(where);
+    }, wait);
   }
   
   /**
-   * Read firmware version from device
+   * Start a config write over after a lost ack
+   * Outstanding frames are forgotten, and acks that still come in during
+   * CONFIG_WRITE_RESTART_DELAY are dropped, so they are not counted against
+   * the new attempt.
    */
-  async readFirmwareVersion(onComplete) {
-    if (!this.isConnected) {
-      throw new Error('Not connected');
+  restartConfigWrite(where) {
+    const state = this.configWriteState;
+    const operation = state.operation;
+    if (state.attempts >= CONFIG_WRITE_MAX_RETRIES) {
+      this.log(`Config write: no ack for ${where} after ${state.attempts + 1} attempts`, 'error');
+      operation.reject(this.operationError(operation, 'timeout', `Config write timed out waiting for ${where}`));
+      return;
     }
-    
-    this.firmwareVersionState.active = true;
-    this.firmwareVersionState.onComplete = onComplete || null;
-    
-    await this.sendHexCommand('0043');
+    state.attempts++;
+    state.restarting = true;
+    state.sentFrames = 0;
+    state.ackedFrames = 0;
+    this.log(`Config write: no ack for ${where}, restarting the write (retry ${state.attempts}/${CONFIG_WRITE_MAX_RETRIES})`, 'warning');
+    const attempt = state.attempts;
+    state.ackTimer = setTimeout(() => {
+      if (this.configWriteState !== state || !state.active || state.attempts !== attempt) return;
+      this.startConfigWriteAttempt();
+    }, CONFIG_WRITE_RESTART_DELAY);
   }
   
   /**
-   * Read firmware version from device
+   * Pass config write progress to onProgress, skipping repeats
    */
-  async readFirmwareVersion(onComplete) {
-    if (!this.isConnected) {
-      throw new Error('Not connected');
+  reportConfigWriteProgress(length) {
+    const state = this.configWriteState;
+    if (length <= state.reportedLength) return;
+    state.reportedLength = length;
+    if (state.onProgress) {
+      state.onProgress(length, state.totalLength);
     }
-    
-    this.firmwareVersionState.active = true;
-    this.firmwareVersionState.onComplete = onComplete || null;
-    
-    await this.sendHexCommand('0043');
   }
   
   /**
-   * Write config to device (chunked, for large configs)
+   * The config write got its final ack
    */
-  async writeConfigChunked(configBytes) {
-    if (!this.isConnected) {
-      throw new Error('Not connected');
+  finishConfigWrite() {
+    const state = this.configWriteState;
+    clearTimeout(state.ackTimer);
+    this.log('Config write successful', 'success');
+    state.active = false;
+    if (state.operation) state.operation.resolve();
+  }
+  
+  /**
+   * Write config with read-back verification and automatic rollback
+   * Snapshots the current device config, writes the new one, waits for the
+   * ack, reads it back and compares bytes and CRC. On mismatch, error or
+   * timeout the snapshot is written back. All steps run as one queued
+   * operation, so nothing else reaches the device in between.
+   * @param {Uint8Array|Array} configBytes - Config to write
+   * @param {Object} options - { snapshot (bytes, skips the initial read), timeout (ms per step),
+   *   signal (AbortSignal, also cancels the rollback), onStep(step, message),
+   *   onProgress(sent, total), chunkAcks, ackTimeout and chunkDelay for the write steps (see writeConfig()) }
+   * @returns {Promise<Object>} { snapshot, readBack }
+   *   Rejects with an Error carrying rolledBack (bool), rollbackError and snapshot when verification fails
+   */
+  writeConfigVerified(configBytes, options = {}) {
+    return this.enqueueOperation('Verified config write', ['configRead', 'configWrite'],
+      signal => this.performVerifiedConfigWrite(configBytes, { ...options, signal }), options);
+  }
+  
+  /**
+   * Run the steps of writeConfigVerified() on the notification stream the caller already owns
+   */
+  async performVerifiedConfigWrite(configBytes, options = {}) {
+    const bytes = Array.from(configBytes);
+    const timeout = options.timeout || this.commandTimeout;
+    const signal = options.signal || null;
+    const step = (name, message) => {
+      this.log(message, 'info');
+      if (options.onStep) options.onStep(name, message);
+    };
+    
+    let snapshot = options.snapshot ? Array.from(options.snapshot) : null;
+    if (!snapshot) {
+      step('snapshot', 'Saving current device config for rollback...');
+      try {
+        snapshot = Array.from(await this.performConfigRead({ timeout, signal }));
+      } catch (error) {
+        this.log(`Could not snapshot device config (${error.message}), rollback will not be possible`, 'warning');
+      }
     }
     
-    const chunkSize = 200;
-    const totalChunks = Math.ceil(configBytes.length / chunkSize);
+    const checkReadBack = (expected, actual) => {
+      const crc = this.crc16ccitt(actual.slice(0, actual.length - 2));
+      if (actual.length < 5 || crc !== (actual[actual.length - 2] | (actual[actual.length - 1] << 8))) {
+        return 'read-back CRC is invalid';
+      }
+      if (actual.length !== expected.length) {
+        return `read-back length ${actual.length} differs from written ${expected.length}`;
+      }
+      const offset = expected.findIndex((b, i) => b !== actual[i]);
+      return offset === -1 ? null : `read-back differs at byte ${offset}`;
+    };
     
-    this.log(`Sending ${configBytes.length} bytes in ${totalChunks} chunks (${chunkSize} bytes each)...`, 'info');
+    const writeOptions = {
+      timeout,
+      signal,
+      chunkAcks: options.chunkAcks,
+      ackTimeout: options.ackTimeout,
+      chunkDelay: options.chunkDelay
+    };
+    let failure;
+    let readBack = null;
+    try {
+      step('write', 'Writing config...');
+      await this.performConfigWrite(bytes, { ...writeOptions, onProgress: options.onProgress });
+      step('verify', 'Reading config back for verification...');
+      readBack = Array.from(await this.performConfigRead({ timeout, signal }));
+      const mismatch = checkReadBack(bytes, readBack);
+      if (!mismatch) {
+        this.log('Config write verified', 'success');
+        return { snapshot, readBack };
+      }
+      failure = new Error(`Config verification failed: ${mismatch}`);
+    } catch (error) {
+      failure = error;
+    }
     
-    // First chunk with total size (command 0x0041)
-    const firstChunk = configBytes.slice(0, chunkSize);
-    const totalSizeBytes = new Uint8Array(2);
-    totalSizeBytes[0] = configBytes.length & 0xFF;
-    totalSizeBytes[1] = (configBytes.length >> 8) & 0xFF;
-    const firstChunkWithSize = new Uint8Array(2 + firstChunk.length);
-    firstChunkWithSize.set(totalSizeBytes, 0);
-    firstChunkWithSize.set(firstChunk, 2);
-    const hexPayload = this.bytesToHex(firstChunkWithSize).replace(/\s+/g, '');
-    await this.sendHexCommand('0041' + hexPayload);
+    failure.rolledBack = false;
+    failure.snapshot = snapshot;
+    this.log(failure.message, 'error');
+    if (!snapshot || !this.isConnected) {
+      this.log('No snapshot to roll back to', 'error');
+      throw failure;
+    }
     
-    // Subsequent chunks (command 0x0042)
-    for (let i = 1; i < totalChunks; i++) {
-      const start = i * chunkSize;
-      const end = Math.min(start + chunkSize, configBytes.length);
-      const chunk = configBytes.slice(start, end);
-      const chunkHex = this.bytesToHex(chunk).replace(/\s+/g, '');
-      // Delay between chunks to avoid overwhelming the device
-      await this.delay(i * 150);
-      await this.sendHexCommand('0042' + chunkHex);
+    try {
+      step('rollback', 'Restoring previous config...');
+      await this.performConfigWrite(snapshot, writeOptions);
+      const restored = Array.from(await this.performConfigRead({ timeout, signal }));
+      const mismatch = checkReadBack(snapshot, restored);
+      if (mismatch) {
+        throw new Error(mismatch);
+      }
+      failure.rolledBack = true;
+      this.log('Previous config restored', 'warning');
+    } catch (error) {
+      failure.rollbackError = error;
+      this.log(`Rollback failed: ${error.message}. The device may need to be reconfigured.`, 'error');
     }
+    throw failure;
   }
   
   /**
    * Parse config bytes into structured format
-   * Returns: { length, version, crcGiven, crcCheck, packets: [...] }
-   * Note: This is a simplified parser that extracts packet structure without schema dependency
+   * Returns: { length, version, crcGiven, crcCheck, packets: [...], diagnostics: [...] }
+   * Each packet carries its offset, its raw payload in `data` and the
+   * schema-decoded values in `fields` (see decodePacketFields()).
+   *
+   * By default parsing stops at the first unknown packet type or truncated
+   * packet. With options.recover it carries on: the bytes of an unknown packet
+   * up to the next plausible packet boundary are kept as an opaque packet
+   * (opaque: true, fields: null) and a truncated packet is kept with
+   * truncated: true. Every problem found is listed in `diagnostics` as
+   * { offset, reason, message, confidence }, where confidence (0-1) rates how
+   * sure the parser is about that finding or the resync point it chose.
+   * @param {Uint8Array|Array} configBytes - Config bytes (with length and CRC16)
+   * @param {Object} options - { recover: boolean }
    */
-  parseConfigBytes(configBytes) {
+  parseConfigBytes(configBytes, options = {}) {
     const view = configBytes instanceof Uint8Array ? configBytes : new Uint8Array(configBytes);
+    const recover = !!options.recover;
     
     if (view.length < 3) {
       throw new Error('Config data too short');
@@ -1516,70 +4013,126 @@ class OpenDisplayBLE {
     const len = view[0] | (view[1] << 8);
     const version = view[2];
     
+    // Decode with the schema revision the config was written with
+    const currentVersion = this.protocolSpec ? (this.protocolSpec.version || 1) : version;
+    if (version !== currentVersion) {
+      const codec = this.findSchema(version);
+      if (codec && codec !== this) {
+        this.log(`Config uses schema v${version}, decoding with registered schema v${this.schemaVersionKey(codec.protocolSpec)}`, 'info');
+        return codec.parseConfigBytes(view, options);
+      }
+      this.log(`Config uses schema v${version} but v${currentVersion} is loaded and no matching schema is registered`, 'warning');
+    }
+    
+    const diagnostics = [];
+    const diagnose = (offset, reason, message, confidence = 1) => {
+      diagnostics.push({ offset, reason, message, confidence });
+      this.log(`Offset ${offset}: ${message}`, 'warning');
+    };
+    
+    // Bytes past the claimed length whose CRC checks out at that length are trailing junk
+    let end = view.length;
     if (len !== view.length) {
-      this.log(`Length mismatch: claimed ${len}, actual ${view.length}`, 'warning');
+      if (recover && len >= 5 && len < view.length &&
+          this.crc16ccitt(view.slice(0, len - 2)) === (view[len - 2] | (view[len - 1] << 8))) {
+        diagnose(len, 'trailing_data', `${view.length - len} bytes after the claimed length ${len} ignored (CRC matches at that length)`, 0.9);
+        end = len;
+      } else {
+        diagnose(0, 'length_mismatch', `Length mismatch: claimed ${len}, actual ${view.length}`);
+      }
     }
     
-    const crcGiven = view[view.length - 2] | (view[view.length - 1] << 8);
-    const body = view.slice(0, view.length - 2);
+    const crcGiven = view[end - 2] | (view[end - 1] << 8);
+    const body = view.slice(0, end - 2);
     const crcCheck = this.crc16ccitt(body);
+    if (crcCheck !== crcGiven) {
+      diagnose(end - 2, 'crc_mismatch', `CRC mismatch: stored 0x${crcGiven.toString(16).padStart(4, '0')}, calculated 0x${crcCheck.toString(16).padStart(4, '0')}`);
+    }
     
     const result = {
       length: len,
       version: version,
+      schemaVersion: this.protocolSpec ? this.schemaVersionKey(this.protocolSpec) : null,
       crcGiven: crcCheck === crcGiven,
       crcValue: crcGiven,
       crcCalculated: crcCheck,
-      packets: []
+      packets: [],
+      diagnostics
     };
     
     // Parse packets using YAML-defined sizes
     let offset = 3;
-    const dataEnd = view.length - 2; // Exclude CRC
+    const dataEnd = end - 2; // Exclude CRC
     
     while (offset < dataEnd) {
       // Need at least 2 bytes for packet number and ID
       if (offset + 2 > dataEnd) {
-        this.log(`Not enough bytes for packet header at offset ${offset} (need 2, have ${dataEnd - offset})`, 'warning');
+        diagnose(offset, 'short_header', `Not enough bytes for packet header (need 2, have ${dataEnd - offset})`);
         break;
       }
       
       const packetNumber = view[offset];
       const packetId = view[offset + 1];
+      const idHex = '0x' + packetId.toString(16).padStart(2, '0').toUpperCase();
       
       // Get packet payload size from YAML schema (does not include header)
-      const payloadSize = this.getPacketSize(packetId);
+      const payloadSize = this.packetSizes[packetId] || null;
       
       if (payloadSize === null) {
-        // Unknown packet type - skip it and stop parsing
-        this.log(`Unknown packet type 0x${packetId.toString(16).padStart(2, '0')}, skipping`, 'warning');
-        this.log(`Packet size lookup for 0x${packetId.toString(16)} (${packetId}): Unknown packet type. Available: ${Object.keys(this.packetSizes).map(k => `0x${parseInt(k).toString(16)}(${k})`).join(', ')}`, 'warning');
-        break;
+        if (!recover) {
+          diagnose(offset, 'unknown_packet', `Unknown packet type ${idHex}, parsing stopped`);
+          break;
+        }
+        // Keep everything up to the next plausible packet as an opaque block
+        const boundary = this.findPacketBoundary(view, offset + 2, dataEnd, packetNumber + 1);
+        const opaqueEnd = boundary ? boundary.offset : dataEnd;
+        diagnose(offset, 'unknown_packet', boundary
+          ? `Unknown packet type ${idHex}, kept ${opaqueEnd - offset - 2} bytes as opaque data and resynced at offset ${opaqueEnd}`
+          : `Unknown packet type ${idHex}, no later packet boundary found; kept the remaining ${opaqueEnd - offset - 2} bytes as opaque data`,
+          boundary ? boundary.confidence : 0.5);
+        const opaqueData = view.slice(offset + 2, opaqueEnd);
+        result.packets.push({
+          number: packetNumber,
+          id: packetId,
+          idHex,
+          name: null,
+          offset,
+          opaque: true,
+          data: Array.from(opaqueData),
+          dataLength: opaqueData.length,
+          fields: null
+        });
+        offset = opaqueEnd;
+        continue;
       }
       
       // Total packet size = header (2 bytes) + payload size
       const totalPacketSize = 2 + payloadSize;
+      let truncated = false;
       
       // Check if we have enough bytes for the complete packet (header + payload)
       if (offset + totalPacketSize > dataEnd) {
-        this.log(`Packet 0x${packetId.toString(16)} at offset ${offset}: need ${totalPacketSize} bytes (2 header + ${payloadSize} payload), have ${dataEnd - offset} remaining`, 'warning');
-        break;
+        diagnose(offset, 'truncated_packet', `Packet ${idHex} needs ${totalPacketSize} bytes (2 header + ${payloadSize} payload), have ${dataEnd - offset} remaining`);
+        if (!recover) break;
+        truncated = true;
       }
       
-      // Move past packet header (number + ID) to read payload
-      offset += 2;
-      
-      const packetData = view.slice(offset, offset + payloadSize);
+      const packetData = view.slice(offset + 2, Math.min(offset + totalPacketSize, dataEnd));
       
+      const packetDef = this.getPacketDefinition(packetId);
       const packetInfo = {
         number: packetNumber,
         id: packetId,
-        idHex: '0x' + packetId.toString(16).padStart(2, '0').toUpperCase(),
+        idHex,
+        name: packetDef ? packetDef.name : null,
+        offset,
         data: Array.from(packetData),
-        dataLength: packetData.length
+        dataLength: packetData.length,
+        fields: this.decodePacketFields(packetId, packetData)
       };
+      if (truncated) packetInfo.truncated = true;
       
-      // Extract structured data for known packet types
+      // Legacy structured views kept for existing callers (extractDisplayConfig etc.)
       if (packetId === 0x20) {
         // Display packet (0x20) - extract all fields
         const displayFields = this.parseDisplayPacketFields(packetData);
@@ -1597,14 +4150,84 @@ class OpenDisplayBLE {
       }
       
       result.packets.push(packetInfo);
-      
-      // Move past the payload (header was already skipped above with offset += 2)
-      offset += payloadSize;
+      offset += 2 + packetData.length;
     }
     
     return result;
   }
   
+  /**
+   * Find where parsing can resume after an unknown packet
+   * A candidate offset must start a run of known packets. The run "lands"
+   * when it ends exactly at the CRC or at the header of another packet with
+   * the next packet number (e.g. a further unknown packet). The earliest
+   * landing run wins, as it leaves the least data opaque; without one the
+   * best scoring run is used. Confidence rises when the run lands, spans
+   * several consecutively numbered packets and its first packet number follows
+   * on from the unknown packet.
+   * @param {Uint8Array} view - Config bytes
+   * @param {number} start - First offset to try
+   * @param {number} dataEnd - Offset of the CRC
+   * @param {number} expectedNumber - Packet number the next packet should have
+   * @returns {Object|null} { offset, confidence } or null if nothing is plausible
+   */
+  findPacketBoundary(view, start, dataEnd, expectedNumber) {
+    let best = null;
+    for (let offset = start; offset + 2 <= dataEnd; offset++) {
+      let cursor = offset;
+      let chained = 0;
+      let sequential = true;
+      while (cursor + 2 <= dataEnd) {
+        const size = this.packetSizes[view[cursor + 1]];
+        if (!size || cursor + 2 + size > dataEnd) break;
+        if (chained && view[cursor] !== ((view[offset] + chained) & 0xFF)) sequential = false;
+        cursor += 2 + size;
+        chained++;
+      }
+      if (!chained) continue;
+      
+      const nextNumber = (view[offset] + chained) & 0xFF;
+      const lands = cursor === dataEnd || (cursor + 2 <= dataEnd && view[cursor] === nextNumber);
+      let confidence = lands ? (cursor === dataEnd ? 0.6 : 0.5) : 0.2;
+      if (sequential) confidence += Math.min(chained - 1, lands ? 1 : 2) * 0.1;
+      if (view[offset] === (expectedNumber & 0xFF)) confidence += 0.3;
+      confidence = Math.round(confidence * 100) / 100;
+      if (!best || (lands && !best.lands) || (!best.lands && confidence > best.confidence)) {
+        best = { offset, confidence, lands };
+      }
+    }
+    if (!best || best.confidence < PACKET_RESYNC_MIN_CONFIDENCE) return null;
+    return { offset: best.offset, confidence: best.confidence };
+  }
+  
+  /**
+   * Rewrite the length prefix and CRC16 of a damaged config
+   * The last two bytes are taken to be the CRC, as in parseConfigBytes(); only
+   * the envelope is touched, packet data is left as it is.
+   * @param {Uint8Array|Array} configBytes - Config bytes
+   * @returns {Object} { bytes: Uint8Array, repaired: Array } where repaired
+   *   lists 'length' and/or 'crc'
+   */
+  repairConfigBytes(configBytes) {
+    const bytes = Uint8Array.from(configBytes);
+    if (bytes.length < 5) {
+      throw new Error('Config data too short to repair');
+    }
+    const repaired = [];
+    if ((bytes[0] | (bytes[1] << 8)) !== bytes.length) {
+      bytes[0] = bytes.length & 0xFF;
+      bytes[1] = (bytes.length >> 8) & 0xFF;
+      repaired.push('length');
+    }
+    const crc = this.crc16ccitt(bytes.slice(0, bytes.length - 2));
+    if ((bytes[bytes.length - 2] | (bytes[bytes.length - 1] << 8)) !== crc) {
+      bytes[bytes.length - 2] = crc & 0xFF;
+      bytes[bytes.length - 1] = (crc >> 8) & 0xFF;
+      repaired.push('crc');
+    }
+    return { bytes, repaired };
+  }
+  
   /**
    * Extract display configuration from parsed config
    * Returns the first display config found (instance 0) or null
@@ -1632,12 +4255,16 @@ class OpenDisplayBLE {
   
   /**
    * Reboot device
+   * Queued behind any running device operation (see enqueueOperation()).
+   * @param {Object} options - { signal (AbortSignal) }
    */
-  async reboot() {
-    if (!this.isConnected) {
-      throw new Error('Not connected');
-    }
-    await this.sendHexCommand('000F');
+  reboot(options = {}) {
+    return this.enqueueOperation('Reboot', [], async () => {
+      if (!this.isConnected) {
+        throw new Error('Not connected');
+      }
+      await this.sendNamedCommand('reboot');
+    }, options);
   }
 
   /**
@@ -2104,8 +4731,20 @@ class OpenDisplayBLE {
    * @param {Function} options.onProgress - Progress callback (progress, total)
    * @param {Function} options.onComplete - Completion callback (success, error)
    * @param {Function} options.onStatusChange - Status change callback (message)
+   * @param {AbortSignal} options.signal - Cancels the upload
+   * @returns {Promise<void>} Resolves once the display has refreshed (0x73), rejects on
+   *   refresh timeout (0x74), disconnect or abort. Queued behind any running device
+   *   operation (see enqueueOperation()).
+   */
+  sendCanvasToDisplay(canvas, colorScheme, options = {}) {
+    return this.enqueueOperation('Image upload', ['directWrite'],
+      signal => this.performCanvasUpload(canvas, colorScheme, { ...options, signal }), options);
+  }
+  
+  /**
+   * Run an image upload on the notification stream the caller already owns
    */
-  async sendCanvasToDisplay(canvas, colorScheme, options = {}) {
+  async performCanvasUpload(canvas, colorScheme, options = {}) {
     if (!this.isConnected) {
       throw new Error('Not connected');
     }
@@ -2128,6 +4767,25 @@ class OpenDisplayBLE {
     const DIRECT_WRITE_PIPELINE_SIZE = 1;
     const MAX_COMPRESSED_SIZE = 50 * 1024;
     
+    // Refreshing can take a long time, so there is no timeout
+    const operation = this.trackOperation('Image upload', { timeout: 0, signal: options.signal });
+    if (operation.settled) return operation.promise;
+    const finish = (success, error) => {
+      if (onComplete) {
+        onComplete(success, error);
+      }
+      if (success) {
+        operation.resolve();
+      } else {
+        operation.reject(error);
+      }
+    };
+    operation.onSettle = (error) => {
+      if (error && this.directWriteState && this.directWriteState.operation === operation) {
+        this.directWriteState.active = false;
+      }
+    };
+    
     // Initialize direct write state
     this.directWriteState = {
       active: true,
@@ -2138,8 +4796,9 @@ class OpenDisplayBLE {
       uploadStartTime: Date.now(),
       uploadEndTime: null,
       refreshStartTime: null,
+      operation: operation,
       onProgress: onProgress,
-      onComplete: onComplete,
+      onComplete: finish,
       onStatusChange: onStatusChange,
       useFastRefresh: useFastRefresh,
       chunkSize: DIRECT_WRITE_CHUNK_SIZE,
@@ -2191,25 +4850,16 @@ class OpenDisplayBLE {
       
       // Send start command
       if (useCompressed) {
-        const startPayload = new Uint8Array(4 + compressedBytes.length);
-        startPayload[0] = uncompressedSize & 0xFF;
-        startPayload[1] = (uncompressedSize >> 8) & 0xFF;
-        startPayload[2] = (uncompressedSize >> 16) & 0xFF;
-        startPayload[3] = (uncompressedSize >> 24) & 0xFF;
-        startPayload.set(compressedBytes, 4);
-        
+        // The start command carries the uncompressed size (4 bytes) and as much data as fits
         const maxStartPayload = 200;
-        if (startPayload.length <= maxStartPayload) {
-          const startPayloadHex = this.bytesToHex(startPayload).replace(/\s+/g, '');
-          await this.sendHexCommand('0070' + startPayloadHex);
+        if (4 + compressedBytes.length <= maxStartPayload) {
+          await this.sendNamedCommand('direct_write_start', { uncompressed_size: uncompressedSize, data: compressedBytes });
           this.directWriteState.chunkIndex = this.directWriteState.chunks.length;
           this.directWriteState.pendingAcks = 0;
         } else {
-          const headerHex = this.bytesToHex(startPayload.slice(0, 4)).replace(/\s+/g, '');
           const maxCompressedInStart = maxStartPayload - 4;
-          const firstChunkData = startPayload.slice(4, 4 + Math.min(maxCompressedInStart, DIRECT_WRITE_CHUNK_SIZE));
-          const firstChunkHex = this.bytesToHex(firstChunkData).replace(/\s+/g, '');
-          await this.sendHexCommand('0070' + headerHex + firstChunkHex);
+          const firstChunkData = compressedBytes.slice(0, Math.min(maxCompressedInStart, DIRECT_WRITE_CHUNK_SIZE));
+          await this.sendNamedCommand('direct_write_start', { uncompressed_size: uncompressedSize, data: firstChunkData });
           const firstChunkBytesSent = firstChunkData.length;
           if (this.directWriteState.chunks.length > 0) {
             const firstChunkSize = this.directWriteState.chunks[0].length;
@@ -2222,7 +4872,7 @@ class OpenDisplayBLE {
           }
         }
         } else {
-          await this.sendHexCommand('0070');
+          await this.sendNamedCommand('direct_write_start');
         }
       
       // Don't send chunks yet - wait for 0070 response from device
@@ -2230,11 +4880,9 @@ class OpenDisplayBLE {
       
     } catch (error) {
       this.directWriteState.active = false;
-      if (onComplete) {
-        onComplete(false, error);
-      }
-      throw error;
+      finish(false, error);
     }
+    return operation.promise;
   }
 
   /**
@@ -2250,8 +4898,6 @@ class OpenDisplayBLE {
            state.pendingAcks < state.pipelineSize) {
       
       const chunk = state.chunks[state.chunkIndex];
-      const chunkHex = this.bytesToHex(chunk).replace(/\s+/g, '');
-      
       const progress = Math.floor((state.chunkIndex / state.chunks.length) * 100);
       if (state.chunkIndex % 10 === 0 || state.chunkIndex === state.chunks.length - 1) {
         if (state.onStatusChange) {
@@ -2262,7 +4908,7 @@ class OpenDisplayBLE {
         }
       }
       
-      this.sendHexCommand('0071' + chunkHex).catch(err => {
+      this.sendNamedCommand('direct_write_data', { data: chunk }).catch(err => {
         this.log('Error sending chunk: ' + err.message, 'error');
       });
       state.chunkIndex++;
@@ -2282,140 +4928,124 @@ class OpenDisplayBLE {
         state.onStatusChange(`Upload complete (${uploadTime}s), refreshing display...`);
       }
       
-      if (state.useFastRefresh) {
-        this.sendHexCommand('007201');
-      } else {
-        this.sendHexCommand('0072');
-      }
+      this.sendNamedCommand('direct_write_end', state.useFastRefresh ? { refresh_mode: 1 } : {}).catch(err => {
+        this.log('Error sending end command: ' + err.message, 'error');
+      });
     }
   }
 
   /**
-   * Handle direct write notification (call this from onNotification)
-   * @param {Uint8Array} bytes - Notification bytes
-   * @param {string} hexString - Hex string representation
-   * @returns {boolean} True if handled
+   * Direct write started: the device acknowledged the start command (built-in handler)
    */
-  handleDirectWriteNotification(bytes, hexString) {
-    if (!this.directWriteState || !this.directWriteState.active) {
-      return false;
-    }
-    
-    if (bytes.length < 2) {
-      this.log(`Direct write notification too short: ${bytes.length} bytes`, 'warning');
-      return false;
-    }
-    
-    // Parse command - handle both byte orders (00 70 and 70 00)
-    const cmd1 = bytes[0];
-    const cmd2 = bytes[1];
-    let responseType = null;
-    
-    // Check for 00 XX format
-    if (cmd1 === 0x00 && (cmd2 === 0x70 || cmd2 === 0x71 || cmd2 === 0x72 || cmd2 === 0x73 || cmd2 === 0x74)) {
-      responseType = cmd2;
-    }
-    // Check for XX 00 format (reversed byte order)
-    else if (cmd2 === 0x00 && (cmd1 === 0x70 || cmd1 === 0x71 || cmd1 === 0x72 || cmd1 === 0x73 || cmd1 === 0x74)) {
-      responseType = cmd1;
-    }
-    
-    // Also check hex string format (for compatibility with display page parsing)
-    if (responseType === null && hexString) {
-      const cleanHex = hexString.replace(/\s+/g, '').toUpperCase();
-      if (cleanHex.length >= 4) {
-        const cmdHex = cleanHex.substring(0, 4);
-        // Check for 0070, 0071, 0072, 0073, 0074
-        if (cmdHex === '0070' || cmdHex === '0071' || cmdHex === '0072' || cmdHex === '0073' || cmdHex === '0074') {
-          responseType = parseInt(cmdHex.substring(2, 4), 16);
-        }
-        // Check for 7000, 7100, 7200, 7300, 7400 (reversed)
-        else if (cmdHex === '7000' || cmdHex === '7100' || cmdHex === '7200' || cmdHex === '7300' || cmdHex === '7400') {
-          responseType = parseInt(cmdHex.substring(0, 2), 16);
-        }
-      }
+  handleDirectWriteStarted(frame) {
+    if (!this.directWriteState || !this.directWriteState.active) return false;
+    this.log('Direct write started, sending data chunks...', 'success');
+    this.directWriteState.pendingAcks = 0;
+    // Now send chunks (or end command if all data was in start payload)
+    this.sendNextDirectWriteChunk();
+    return true;
+  }
+  
+  /**
+   * Direct write chunk ACK (built-in handler)
+   */
+  handleDirectWriteDataAck(frame) {
+    if (!this.directWriteState || !this.directWriteState.active) return false;
+    this.directWriteState.pendingAcks = Math.max(0, this.directWriteState.pendingAcks - 1);
+    // Continue sending chunks
+    this.sendNextDirectWriteChunk();
+    return true;
+  }
+  
+  /**
+   * Direct write end command ACK, the display starts refreshing (built-in handler)
+   */
+  handleDirectWriteEndAck(frame) {
+    if (!this.directWriteState || !this.directWriteState.active) return false;
+    if (!this.directWriteState.refreshStartTime) {
+      this.directWriteState.refreshStartTime = Date.now();
+      this.log('Display is refreshing...', 'info');
     }
-    
-    if (responseType === null) {
-      return false;
+    return true;
+  }
+  
+  /**
+   * Display refresh complete (built-in handler)
+   */
+  handleDirectWriteRefreshed(frame) {
+    if (!this.directWriteState || !this.directWriteState.active) return false;
+    const state = this.directWriteState;
+    const refreshEndTime = Date.now();
+    let refreshTime = "?";
+    if (state.refreshStartTime) {
+      refreshTime = ((refreshEndTime - state.refreshStartTime) / 1000).toFixed(2);
     }
-    
-    // Handle direct write responses
-    if (responseType === 0x70) {
-      // Direct write started - device acknowledged the start command
-      this.log('Direct write started, sending data chunks...', 'success');
-      this.directWriteState.pendingAcks = 0;
-      // Now send chunks (or end command if all data was in start payload)
-      this.sendNextDirectWriteChunk();
-      return true;
-    } else if (responseType === 0x71) {
-      // Chunk ACK
-      if (this.directWriteState.active) {
-        this.directWriteState.pendingAcks = Math.max(0, this.directWriteState.pendingAcks - 1);
-        // Continue sending chunks
-        this.sendNextDirectWriteChunk();
-        return true;
-      }
-    } else if (responseType === 0x72) {
-      // End command ACK
-      if (!this.directWriteState.refreshStartTime) {
-        this.directWriteState.refreshStartTime = Date.now();
-        this.log('Display is refreshing...', 'info');
-      }
-      return true;
-    } else if (responseType === 0x73) {
-      // Refresh complete
-      const refreshEndTime = Date.now();
-      let refreshTime = "?";
-      if (this.directWriteState.refreshStartTime) {
-        refreshTime = ((refreshEndTime - this.directWriteState.refreshStartTime) / 1000).toFixed(2);
-      }
-      const uploadTime = this.directWriteState.uploadEndTime && this.directWriteState.uploadStartTime
-        ? ((this.directWriteState.uploadEndTime - this.directWriteState.uploadStartTime) / 1000).toFixed(2)
-        : "?";
-      const totalTime = this.directWriteState.uploadStartTime
-        ? ((refreshEndTime - this.directWriteState.uploadStartTime) / 1000).toFixed(2)
-        : "?";
-      this.log(`Direct write completed! Upload: ${uploadTime}s, Refresh: ${refreshTime}s, Total: ${totalTime}s`, 'success');
-      
-      // Reset state
-      const wasActive = this.directWriteState.active;
-      this.directWriteState.active = false;
-      this.directWriteState.data = null;
-      this.directWriteState.chunks = [];
-      this.directWriteState.chunkIndex = 0;
-      this.directWriteState.pendingAcks = 0;
-      this.directWriteState.uploadStartTime = null;
-      this.directWriteState.uploadEndTime = null;
-      this.directWriteState.refreshStartTime = null;
-      
-      if (wasActive && this.directWriteState.onComplete) {
-        this.directWriteState.onComplete(true, null);
-      }
-      return true;
-    } else if (responseType === 0x74) {
-      // Refresh timeout
-      this.log('Display refresh timed out', 'error');
-      const wasActive = this.directWriteState.active;
-      this.directWriteState.active = false;
-      this.directWriteState.data = null;
-      this.directWriteState.chunks = [];
-      this.directWriteState.chunkIndex = 0;
-      this.directWriteState.pendingAcks = 0;
-      this.directWriteState.uploadStartTime = null;
-      this.directWriteState.uploadEndTime = null;
-      this.directWriteState.refreshStartTime = null;
-      
-      if (wasActive && this.directWriteState.onComplete) {
-        this.directWriteState.onComplete(false, new Error('Display refresh timed out'));
-      }
-      return true;
+    const uploadTime = state.uploadEndTime && state.uploadStartTime
+      ? ((state.uploadEndTime - state.uploadStartTime) / 1000).toFixed(2)
+      : "?";
+    const totalTime = state.uploadStartTime
+      ? ((refreshEndTime - state.uploadStartTime) / 1000).toFixed(2)
+      : "?";
+    this.log(`Direct write completed! Upload: ${uploadTime}s, Refresh: ${refreshTime}s, Total: ${totalTime}s`, 'success');
+    this.finishDirectWrite(true, null);
+    return true;
+  }
+  
+  /**
+   * Display refresh timed out (built-in handler)
+   */
+  handleDirectWriteRefreshTimeout(frame) {
+    if (!this.directWriteState || !this.directWriteState.active) return false;
+    this.log('Display refresh timed out', 'error');
+    this.finishDirectWrite(false, new Error('Display refresh timed out'));
+    return true;
+  }
+  
+  /**
+   * Reset direct write state and report the result
+   */
+  finishDirectWrite(success, error) {
+    const state = this.directWriteState;
+    state.active = false;
+    state.data = null;
+    state.chunks = [];
+    state.chunkIndex = 0;
+    state.pendingAcks = 0;
+    state.uploadStartTime = null;
+    state.uploadEndTime = null;
+    state.refreshStartTime = null;
+    
+    if (state.onComplete) {
+      state.onComplete(success, error);
     }
-    
-    return false;
   }
 }
 
+/**
+ * Value written in place of secret fields (YAML `secret: true`) when a config
+ * is exported or shared without secrets
+ */
+const SECRET_PLACEHOLDER = '<secret>';
+
+/**
+ * Lowest confidence at which parseConfigBytes() resyncs after an unknown
+ * packet (see findPacketBoundary())
+ */
+const PACKET_RESYNC_MIN_CONFIDENCE = 0.5;
+
+/**
+ * Chunked config writes (see writeConfig()): bytes per frame, gap between
+ * paced frames, how long the first frame waits for an ack to tell whether
+ * the device acks every frame, how long a frame waits for its ack when it
+ * does, the pause before a restart, and how often to restart
+ */
+const CONFIG_WRITE_CHUNK_SIZE = 200;
+const CONFIG_WRITE_CHUNK_DELAY = 150;
+const CONFIG_WRITE_ACK_PROBE_TIMEOUT = 500;
+const CONFIG_WRITE_ACK_TIMEOUT = 2000;
+const CONFIG_WRITE_RESTART_DELAY = 250;
+const CONFIG_WRITE_MAX_RETRIES = 3;
+
 /**
  * DFU (Device Firmware Update) support classes and functions
  */
@@ -2494,26 +5124,79 @@ class BlockPart {
 }
 
 /**
- * Premade configuration presets
- * Base filenames only - use getPresetUrl() to get full path
+ * Preset manifest location, relative to this script (js/ble-common.js), so it
+ * resolves the same from every page that loads the library
+ * Each manifest entry names a preset file (relative to the manifest itself)
+ * together with metadata used for searching and filtering presets.
  */
-const PREMADE_CONFIGS = [
-  { name: 'Seeed EN04 NRF 4.26', file: 'nrf52840-en04.json' },
-  { name: 'Seeed EN04 NRF 7.3 Spectra6', file: 'nrf52840-en04-s6.json' },
-  { name: 'Seeed EE04 ESP 4.26', file: 'esp32-s3-ee04.json' },
-  { name: 'Waveshare ESP32-S3-PhotoPainter', file: 'esp32-s3-wspp.json' },
-  { name: 'Seeed XIAO ESP32-S3 breakout 4.26', file: 'esp32-s3-bo.json' },
-  { name: 'Seeed XIAO ESP32-C6 breakout 4.26', file: 'esp32-c6-bo.json' },
-  { name: 'Seeed XIAO ESP32-C3 breakout 4.26', file: 'esp32-c3-bo.json' },
-  { name: 'Seeed XIAO NRF52840 breakout 4.26', file: 'nrf52840-bo.json' },
-  { name: 'XIAO 75 C3', file: 'xiao-75-c3.json' },
-  { name: 'XIAO 75 S3 OG', file: 'xiao-75-s3-og.json' },
-  { name: 'ReTerminal E1001', file: 'reterminal-e1001.json' },
-  { name: 'ReTerminal E1002', file: 'reterminal-e1002.json' }
-];
+const PRESET_MANIFEST_URL = '../firmware/config/presets/index.json';
 
 /**
- * Get preset URL based on current page location
+ * Location of config.yaml relative to this script, used for the command
+ * table when the loaded YAML has none (see loadCommandTable())
+ */
+const CONFIG_YAML_URL = '../firmware/config/config.yaml';
+
+/**
+ * URL of this script, captured while it runs (document.currentScript is only set then)
+ */
+const LIBRARY_SCRIPT_URL = typeof document !== 'undefined' && document.currentScript
+  ? document.currentScript.src
+  : null;
+
+/**
+ * Preset names and files as { name, file }, filled in by loadPresetManifest()
+ * @deprecated Kept for pages written against the old static list; use loadPresetManifest()
+ */
+const PREMADE_CONFIGS = [];
+let premadeConfigsLoad = null;
+
+/**
+ * Resolved URL of the default preset manifest
+ */
+function getPresetManifestUrl() {
+  const pageUrl = typeof document !== 'undefined' ? document.baseURI : undefined;
+  return new URL(PRESET_MANIFEST_URL, LIBRARY_SCRIPT_URL || pageUrl).href;
+}
+
+/**
+ * Metadata fields of a manifest entry that the preset selector can filter on
+ */
+const PRESET_FILTER_FIELDS = ['ic', 'manufacturer', 'color_scheme', 'communication_modes', 'tags'];
+
+/**
+ * Load the preset manifest
+ * @param {string} manifestUrl - Manifest URL relative to the page (defaults to the
+ *   manifest next to this script, see PRESET_MANIFEST_URL)
+ * @returns {Promise<Object>} { presets, overlays }: manifest entries, each with a resolved `url`
+ */
+async function loadPresetManifest(manifestUrl = null) {
+  const baseUrl = typeof document !== 'undefined' ? document.baseURI : undefined;
+  const resolvedManifestUrl = manifestUrl ? new URL(manifestUrl, baseUrl).href : getPresetManifestUrl();
+  const manifest = await fetchPresetJson(resolvedManifestUrl);
+  if (!manifest || !Array.isArray(manifest.presets)) {
+    throw new Error('Preset manifest has no presets list');
+  }
+  const resolve = (entries) => (entries || [])
+    .filter(entry => entry && entry.file)
+    .map(entry => ({
+      ...entry,
+      name: entry.name || entry.file,
+      url: new URL(entry.file, resolvedManifestUrl).href
+    }));
+  const presets = resolve(manifest.presets);
+  if (!manifestUrl) {
+    PREMADE_CONFIGS.splice(0, PREMADE_CONFIGS.length, ...presets.map(preset => ({ name: preset.name, file: preset.file })));
+  }
+  return {
+    presets,
+    overlays: resolve(manifest.overlays)
+  };
+}
+
+/**
+ * Get the URL of a preset file
+ * @deprecated Use the `url` of the loadPresetManifest() entries
  * @param {string} filename - Preset filename (e.g., 'nrf52840-en04.json')
  * @param {string} basePath - Optional base path override
  * @returns {string} Full URL to preset file
@@ -2522,33 +5205,161 @@ function getPresetUrl(filename, basePath = null) {
   if (basePath) {
     return basePath + filename;
   }
-  
-  // Auto-detect path based on current page location
-  const path = window.location.pathname;
-  
-  if (path.includes('/firmware/config/')) {
-    // Config builder page
-    return 'presets/' + filename;
-  } else if (path.includes('/firmware/battery/')) {
-    // Battery calculator page
-    return '../config/presets/' + filename;
-  } else if (path.includes('/designer/')) {
-    // Designer page
-    return '../firmware/config/presets/' + filename;
-  } else {
-    // Default fallback
-    return 'firmware/config/presets/' + filename;
-  }
+  return new URL(filename, getPresetManifestUrl()).href;
 }
 
 /**
  * Get all premade configs with resolved URLs
+ * @deprecated Use loadPresetManifest(), which also returns the preset metadata.
+ *   Synchronous like the old static list: returns the presets of the last manifest
+ *   loaded (PREMADE_CONFIGS). The first call starts loading the manifest when nothing
+ *   has loaded it yet, so the list stays empty until that load has finished.
  * @param {string} basePath - Optional base path override
  * @returns {Array} Array of preset objects with name and url
  */
 function getPremadeConfigs(basePath = null) {
+  if (PREMADE_CONFIGS.length === 0 && !premadeConfigsLoad) {
+    premadeConfigsLoad = loadPresetManifest().catch(error => {
+      console.warn(`Could not load the preset manifest: ${error.message}`);
+      premadeConfigsLoad = null;
+    });
+  }
   return PREMADE_CONFIGS.map(preset => ({
     name: preset.name,
     url: getPresetUrl(preset.file, basePath)
   }));
 }
+
+/**
+ * Fetch and parse a preset or manifest JSON file
+ * @param {string} url - File URL
+ * @returns {Promise<Object>}
+ */
+async function fetchPresetJson(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  return await response.json();
+}
+
+/**
+ * Maximum depth of a preset `extends` chain
+ */
+const PRESET_MAX_EXTENDS_DEPTH = 8;
+
+/**
+ * Load a preset with the presets it `extends` and the given overlays
+ * `extends` is resolved relative to the preset file. The presets shipped in
+ * firmware/config/presets stay complete files, since other pages load them
+ * directly; `extends` is for user and third-party presets. The result is
+ * meant for OpenDisplayBLE.mergeConfigLayers().
+ * @param {string} url - Preset file URL
+ * @param {Array} overlayUrls - Overlay file URLs, applied in order on top of the preset
+ * @returns {Promise<Array>} [{ name, url, config }], base preset first
+ */
+async function loadPresetLayers(url, overlayUrls = []) {
+  const chain = [];
+  let current = new URL(url, typeof document !== 'undefined' ? document.baseURI : undefined).href;
+  while (current) {
+    if (chain.some(layer => layer.url === current)) {
+      throw new Error(`Preset extends itself: ${chain.map(layer => layer.name).join(' → ')}`);
+    }
+    if (chain.length >= PRESET_MAX_EXTENDS_DEPTH) {
+      throw new Error(`Preset extends chain is deeper than ${PRESET_MAX_EXTENDS_DEPTH}`);
+    }
+    const config = await fetchPresetJson(current);
+    // Presets are named after their file so the layer shows which file set a value
+    chain.unshift({ name: presetLayerName(current), url: current, config });
+    current = config.extends ? new URL(config.extends, current).href : null;
+  }
+
+  return chain.concat(await loadPresetOverlays(overlayUrls));
+}
+
+/**
+ * Load overlay files as layers for OpenDisplayBLE.mergeConfigLayers()
+ * @param {Array} overlayUrls - Overlay file URLs
+ * @returns {Promise<Array>} [{ name, url, config }] in the given order
+ */
+async function loadPresetOverlays(overlayUrls = []) {
+  const layers = [];
+  for (const overlayUrl of overlayUrls) {
+    const config = await fetchPresetJson(overlayUrl);
+    layers.push({ name: presetLayerName(overlayUrl, config), url: overlayUrl, config });
+  }
+  return layers;
+}
+
+/**
+ * Display name of a preset layer: the overlay's `name`, else the file name
+ */
+function presetLayerName(url, config = {}) {
+  return config.name || decodeURIComponent(new URL(url).pathname.split('/').pop()).replace(/\.json$/, '');
+}
+
+/**
+ * Collect the distinct values of each filterable metadata field
+ * @param {Array} presets - Manifest entries
+ * @returns {Object} { field: [sorted values] } for every PRESET_FILTER_FIELDS entry
+ */
+function getPresetFilterValues(presets) {
+  const values = {};
+  PRESET_FILTER_FIELDS.forEach(field => {
+    const seen = new Set();
+    presets.forEach(preset => [].concat(preset[field] || []).forEach(v => seen.add(String(v))));
+    values[field] = Array.from(seen).sort();
+  });
+  return values;
+}
+
+/**
+ * Filter presets by free-text search and metadata filters
+ * @param {Array} presets - Manifest entries
+ * @param {Object} filters - { query, ic, manufacturer, color_scheme, communication_modes, tags };
+ *   empty values are ignored, list fields match if they contain the value
+ * @returns {Array} Matching entries in manifest order
+ */
+function filterPresets(presets, filters = {}) {
+  const terms = String(filters.query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  return presets.filter(preset => {
+    for (const field of PRESET_FILTER_FIELDS) {
+      const wanted = filters[field];
+      if (wanted && ![].concat(preset[field] || []).map(String).includes(String(wanted))) {
+        return false;
+      }
+    }
+    if (!terms.length) return true;
+    const haystack = [
+      preset.name, preset.id, preset.file, preset.board, preset.panel_ic, preset.resolution,
+      ...PRESET_FILTER_FIELDS.flatMap(field => [].concat(preset[field] || []))
+    ].filter(v => v !== undefined && v !== null).join(' ').toLowerCase();
+    return terms.every(term => haystack.includes(term));
+  });
+}
+
+// CommonJS export for non-browser use (Node scripts and tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    OpenDisplayBLE,
+    OpenDisplayTransport,
+    WebBluetoothTransport,
+    BlockRequest,
+    BlockPart,
+    DFU_BLOCK_DATA_SIZE,
+    DFU_BLOCK_PART_DATA_SIZE,
+    DFU_BLOCK_REQ_PARTS_BYTES,
+    SECRET_PLACEHOLDER,
+    PRESET_MANIFEST_URL,
+    PRESET_FILTER_FIELDS,
+    PREMADE_CONFIGS,
+    loadPresetManifest,
+    getPresetUrl,
+    getPremadeConfigs,
+    fetchPresetJson,
+    loadPresetLayers,
+    loadPresetOverlays,
+    getPresetFilterValues,
+    filterPresets
+  };
+}
@@ -0,0 +1,424 @@
+/**
+ * Open Display Device Emulator
+ *
+ * In-process virtual device that implements the OpenDisplayTransport
+ * interface and answers the same opcodes as real firmware. Lets the
+ * configurator and ble-common.js be exercised without hardware:
+ *
+ *   const emulator = new OpenDisplayEmulator({ configBytes });
+ *   const ble = new OpenDisplayBLE({ transport: emulator });
+ *
+ * Supported commands:
+ *   0x0040 config read (chunked 0x00 0x40 replies)
+ *   0x0041/0x0042 config write (0xCE once stored, 0xCF on error; with
+ *     the chunkAcks option also 0xCE for every earlier frame)
+ *   0x0043 firmware version
+ *   0x000F reboot
+ *   0x0070-0x0072 direct write (0x70-0x74 replies)
+ *   0x0002/0x0003/0x0065 DFU (0xC4-0xC9 replies, started with requestImage())
+ *
+ * Faults can be injected with injectFault() to exercise error paths.
+ */
+
+const emulatorDeps = (typeof module !== 'undefined' && module.exports)
+  ? require('./ble-common.js')
+  : { OpenDisplayTransport, DFU_BLOCK_DATA_SIZE, DFU_BLOCK_PART_DATA_SIZE };
+
+const EMULATOR_MAX_CONFIG_SIZE = 4096;
+const EMULATOR_SMALL_WRITE_SIZE = 200;
+
+class OpenDisplayEmulator extends emulatorDeps.OpenDisplayTransport {
+  constructor(options = {}) {
+    super(options);
+    this.name = options.name || 'OD-EMU';
+    this.id = options.id || 'emulator';
+    this.mtu = options.mtu || 512;
+    this.responseDelay = options.responseDelay !== undefined ? options.responseDelay : 5;
+    this.refreshDelay = options.refreshDelay !== undefined ? options.refreshDelay : 50;
+    this.firmwareVersion = options.firmwareVersion || { major: 1, minor: 0, sha: 'emulator' };
+    // Ack every config write frame instead of only the complete config
+    this.chunkAcks = options.chunkAcks || false;
+
+    // Device state
+    this.configStore = options.configBytes ? Array.from(options.configBytes) : null;
+    this.framebuffer = null;
+    this.framebufferCompressed = false;
+    this.dfuImage = null;
+    this.opened = false;
+    this.rebootCount = 0;
+
+    // Command log, handy for assertions: [{ opcode, payload }]
+    this.received = [];
+
+    // Optional hook: return true to suppress the built-in response
+    this.onCommand = options.onCommand || null;
+
+    this.configWrite = null;
+    this.directWrite = null;
+    this.dfu = null;
+    this.clearFaults();
+  }
+
+  async open(options = {}) {
+    this.lastOpenOptions = options;
+    this.opened = true;
+    this.log(`Emulator ${this.name} connected`, 'success');
+    return { name: this.name, id: this.id };
+  }
+
+  async close() {
+    this.opened = false;
+  }
+
+  isOpen() {
+    return this.opened;
+  }
+
+  /**
+   * Receive a frame from the host
+   */
+  async write(bytes) {
+    if (!this.opened) {
+      throw new Error('Not connected');
+    }
+    const frame = Array.from(bytes);
+    if (frame.length < 2) {
+      this.respond([0xFF, 0xFF]);
+      return;
+    }
+    const opcode = (frame[0] << 8) | frame[1];
+    const payload = frame.slice(2);
+    this.received.push({ opcode, payload });
+
+    if (this.onCommand && this.onCommand(opcode, payload, this)) {
+      return;
+    }
+
+    switch (opcode) {
+      case 0x0040: this.handleConfigRead(); break;
+      case 0x0041: this.handleConfigWriteStart(payload); break;
+      case 0x0042: this.handleConfigWriteChunk(payload); break;
+      case 0x0043: this.handleFirmwareVersion(); break;
+      case 0x000F: this.handleReboot(); break;
+      case 0x0070: this.handleDirectWriteStart(payload); break;
+      case 0x0071: this.handleDirectWriteData(payload); break;
+      case 0x0072: this.handleDirectWriteEnd(payload); break;
+      case 0x0002: break;  // DFU block request ACK
+      case 0x0003: this.dfu = null; break;  // DFU finished ACK
+      case 0x0065: this.handleDFUPart(payload); break;
+      default:
+        this.respond([0xFF, 0xFF]);
+    }
+  }
+
+  /**
+   * Send a notification to the host after the configured latency
+   */
+  respond(bytes, delay = this.responseDelay) {
+    setTimeout(() => {
+      if (this.opened) {
+        this.emitNotification(new Uint8Array(bytes));
+      }
+    }, delay);
+  }
+
+  // ---- Fault injection ----
+
+  /**
+   * Inject a fault
+   * @param {string} fault - 'dropConfigChunk' | 'dropConfigWriteChunk' | 'configReadError' | 'configWriteError' |
+   *   'refreshTimeout' | 'dfuPartError'
+   * @param {Object} options - { chunk } for dropConfigChunk and dropConfigWriteChunk (0-based, dropped once),
+   *   { count } for dfuPartError
+   */
+  injectFault(fault, options = {}) {
+    switch (fault) {
+      case 'dropConfigChunk':
+        this.faults.droppedConfigChunks.add(options.chunk || 0);
+        break;
+      case 'dropConfigWriteChunk':
+        this.faults.droppedConfigWriteChunks.add(options.chunk || 0);
+        break;
+      case 'configReadError':
+        this.faults.configReadError = true;
+        break;
+      case 'configWriteError':
+        this.faults.configWriteError = true;
+        break;
+      case 'refreshTimeout':
+        this.faults.refreshTimeout = true;
+        break;
+      case 'dfuPartError':
+        this.faults.dfuPartErrors += options.count || 1;
+        break;
+      default:
+        throw new Error(`Unknown emulator fault: ${fault}`);
+    }
+  }
+
+  clearFaults() {
+    this.faults = {
+      droppedConfigChunks: new Set(),
+      droppedConfigWriteChunks: new Set(),
+      configReadError: false,
+      configWriteError: false,
+      refreshTimeout: false,
+      dfuPartErrors: 0
+    };
+  }
+
+  /**
+   * Simulate an unexpected link loss
+   */
+  simulateDisconnect() {
+    this.opened = false;
+    this.emitDisconnect();
+  }
+
+  // ---- Config ----
+
+  handleConfigRead() {
+    if (this.faults.configReadError || !this.configStore || this.configStore.length === 0) {
+      this.respond([0xFF, 0x40]);
+      return;
+    }
+
+    const data = this.configStore;
+    const firstDataSize = this.mtu - 6;
+    const nextDataSize = this.mtu - 4;
+    let offset = 0;
+    let chunkNumber = 0;
+    let delay = this.responseDelay;
+
+    while (offset < data.length || chunkNumber === 0) {
+      const header = [0x00, 0x40, chunkNumber & 0xFF, (chunkNumber >> 8) & 0xFF];
+      const size = chunkNumber === 0 ? firstDataSize : nextDataSize;
+      if (chunkNumber === 0) {
+        header.push(data.length & 0xFF, (data.length >> 8) & 0xFF);
+      }
+      const chunk = header.concat(data.slice(offset, offset + size));
+      if (!this.faults.droppedConfigChunks.has(chunkNumber)) {
+        this.respond(chunk, delay);
+      }
+      offset += size;
+      chunkNumber++;
+      delay += 1;
+    }
+  }
+
+  handleConfigWriteStart(payload) {
+    if (this.dropConfigWriteFrame(0)) return;
+    if (payload.length <= EMULATOR_SMALL_WRITE_SIZE) {
+      this.configWrite = { totalLength: payload.length, data: payload, frames: 1 };
+    } else {
+      const totalLength = payload[0] | (payload[1] << 8);
+      this.configWrite = { totalLength, data: payload.slice(2), frames: 1 };
+    }
+    this.finishConfigWriteIfComplete();
+  }
+
+  handleConfigWriteChunk(payload) {
+    if (!this.configWrite) {
+      this.respond([0x00, 0xCF]);
+      return;
+    }
+    if (this.dropConfigWriteFrame(this.configWrite.frames)) return;
+    this.configWrite.frames++;
+    this.configWrite.data = this.configWrite.data.concat(payload);
+    this.finishConfigWriteIfComplete();
+  }
+
+  finishConfigWriteIfComplete() {
+    const write = this.configWrite;
+    if (write.totalLength > EMULATOR_MAX_CONFIG_SIZE || write.data.length > write.totalLength) {
+      this.configWrite = null;
+      this.respond([0x00, 0xCF]);
+      return;
+    }
+    if (write.data.length < write.totalLength) {
+      if (this.chunkAcks) this.respond([0x00, 0xCE]);
+      return;
+    }
+    this.configWrite = null;
+    if (this.faults.configWriteError) {
+      this.respond([0x00, 0xCF]);
+      return;
+    }
+    this.configStore = write.data;
+    this.respond([0x00, 0xCE]);
+  }
+
+  /**
+   * Whether to lose this config write frame (as if it never arrived)
+   */
+  dropConfigWriteFrame(frame) {
+    if (!this.faults.droppedConfigWriteChunks.has(frame)) return false;
+    this.faults.droppedConfigWriteChunks.delete(frame);
+    return true;
+  }
+
+  // ---- Misc commands ----
+
+  handleFirmwareVersion() {
+    const sha = Array.from(this.firmwareVersion.sha || '').map(c => c.charCodeAt(0));
+    this.respond([0x00, 0x43, this.firmwareVersion.major, this.firmwareVersion.minor, sha.length].concat(sha));
+  }
+
+  handleReboot() {
+    this.rebootCount++;
+    this.framebuffer = null;
+    this.directWrite = null;
+    this.dfu = null;
+    setTimeout(() => this.simulateDisconnect(), this.responseDelay);
+  }
+
+  // ---- Direct write ----
+
+  handleDirectWriteStart(payload) {
+    if (payload.length >= 4) {
+      const uncompressedSize = (payload[0] | (payload[1] << 8) | (payload[2] << 16) | (payload[3] << 24)) >>> 0;
+      this.directWrite = { compressed: true, uncompressedSize, data: payload.slice(4) };
+    } else {
+      this.directWrite = { compressed: false, uncompressedSize: null, data: [] };
+    }
+    this.respond([0x00, 0x70]);
+  }
+
+  handleDirectWriteData(payload) {
+    if (!this.directWrite) {
+      this.respond([0xFF, 0xFF]);
+      return;
+    }
+    this.directWrite.data = this.directWrite.data.concat(payload);
+    this.respond([0x00, 0x71]);
+  }
+
+  handleDirectWriteEnd(payload) {
+    const write = this.directWrite;
+    if (!write) {
+      this.respond([0xFF, 0xFF]);
+      return;
+    }
+    this.directWrite = null;
+
+    let data = new Uint8Array(write.data);
+    this.framebufferCompressed = false;
+    if (write.compressed) {
+      if (typeof pako !== 'undefined') {
+        data = pako.inflate(data);
+      } else {
+        this.framebufferCompressed = true;
+      }
+    }
+    this.framebuffer = data;
+    this.lastRefreshFast = payload[0] === 0x01;
+
+    this.respond([0x00, 0x72]);
+    this.respond(this.faults.refreshTimeout ? [0x00, 0x74] : [0x00, 0x73], this.responseDelay + this.refreshDelay);
+  }
+
+  // ---- DFU ----
+
+  /**
+   * Start an image transfer: the device requests blocks of imageSize bytes
+   * @param {number} imageSize - Total image size in bytes
+   * @param {Object} options - { version, type, alreadyPresent, firmware }
+   */
+  requestImage(imageSize, options = {}) {
+    if (options.alreadyPresent) {
+      this.respond([0x00, 0xC8]);
+      return;
+    }
+    this.dfu = {
+      imageSize,
+      version: BigInt(options.version || 0),
+      type: options.type || 0,
+      firmware: !!options.firmware,
+      blockId: 0,
+      parts: [],
+      blocks: []
+    };
+    this.requestBlock(0);
+  }
+
+  blockLength(blockId) {
+    return Math.min(emulatorDeps.DFU_BLOCK_DATA_SIZE, this.dfu.imageSize - blockId * emulatorDeps.DFU_BLOCK_DATA_SIZE);
+  }
+
+  partsInBlock(blockId) {
+    return Math.ceil((this.blockLength(blockId) + 4) / emulatorDeps.DFU_BLOCK_PART_DATA_SIZE);
+  }
+
+  requestBlock(blockId) {
+    this.dfu.blockId = blockId;
+    this.dfu.parts = [];
+
+    const body = [];
+    let version = this.dfu.version;
+    for (let i = 0; i < 8; i++) {
+      body.push(Number(version & 0xFFn));
+      version >>= 8n;
+    }
+    body.push(blockId & 0xFF, this.dfu.type & 0xFF);
+
+    // Requested parts bitfield, MSB first
+    const requested = [0, 0, 0, 0, 0, 0];
+    for (let part = 0; part < this.partsInBlock(blockId); part++) {
+      requested[part >> 3] |= 0x80 >> (part & 7);
+    }
+    body.push(...requested);
+
+    const checksum = body.reduce((sum, b) => sum + b, 0) & 0xFF;
+    this.respond([0x00, 0xC6, checksum].concat(body));
+  }
+
+  handleDFUPart(payload) {
+    if (!this.dfu) {
+      this.respond([0xFF, 0xFF]);
+      return;
+    }
+
+    const checksum = payload.slice(1).reduce((sum, b) => sum + b, 0) & 0xFF;
+    const blockId = payload[1];
+    const partIndex = payload[2];
+    if (this.faults.dfuPartErrors > 0 || checksum !== payload[0] || blockId !== this.dfu.blockId) {
+      this.faults.dfuPartErrors = Math.max(0, this.faults.dfuPartErrors - 1);
+      this.respond([0x00, 0xC4]);
+      return;
+    }
+
+    this.dfu.parts[partIndex] = payload.slice(3);
+    this.respond([0x00, 0xC5]);
+
+    const expectedParts = this.partsInBlock(blockId);
+    for (let i = 0; i < expectedParts; i++) {
+      if (!this.dfu.parts[i]) return;
+    }
+
+    // Whole block received: [len LE16][checksum LE16][data]
+    const raw = [].concat(...this.dfu.parts);
+    const length = raw[0] | (raw[1] << 8);
+    const blockChecksum = raw[2] | (raw[3] << 8);
+    const data = raw.slice(4, 4 + length);
+    if ((data.reduce((sum, b) => sum + b, 0) & 0xFFFF) !== blockChecksum) {
+      this.log(`Emulator: block ${blockId} checksum mismatch, requesting again`, 'warning');
+      this.requestBlock(blockId);
+      return;
+    }
+    this.dfu.blocks[blockId] = data;
+
+    const totalBlocks = Math.ceil(this.dfu.imageSize / emulatorDeps.DFU_BLOCK_DATA_SIZE);
+    if (blockId + 1 < totalBlocks) {
+      this.requestBlock(blockId + 1);
+      return;
+    }
+
+    this.dfuImage = new Uint8Array([].concat(...this.dfu.blocks));
+    this.respond(this.dfu.firmware ? [0x00, 0xC9] : [0x00, 0xC7]);
+  }
+}
+
+// CommonJS export for non-browser use (Node scripts and tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { OpenDisplayEmulator };
+}
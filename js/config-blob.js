@@ -0,0 +1,177 @@
+/**
+ * Hex dump and C array formats for raw config blobs
+ * Lets configs move between the builder, factory programming scripts and
+ * firmware unit tests. Parsing accepts plain hex (with or without spaces),
+ * 0x-prefixed values as in a C array, "offset:" prefixed dump lines, xxd
+ * output and `hexdump -C` output (ASCII column, end offset and `*` repeat
+ * lines included). Envelope handling (length, version, CRC16) is done by
+ * OpenDisplayBLE.unwrapConfigBlob().
+ */
+
+const HEX_DUMP_BYTES_PER_LINE = 16;
+const C_ARRAY_BYTES_PER_LINE = 12;
+
+/**
+ * Parse a pasted hex dump or C array into bytes
+ * @param {string} text - Hex text
+ * @returns {Uint8Array} Bytes
+ * @throws {Error} On anything that is not a hex byte
+ */
+function parseHexDump(text) {
+  const lines = String(text || '').split(/\r?\n/);
+  if (lines.some(isDumpLine)) {
+    return parseDumpLines(lines);
+  }
+
+  // Block comments are blanked rather than removed so error line numbers stay right
+  let source = lines.join('\n')
+    .replace(/\/\*[\s\S]*?\*\//g, comment => comment.replace(/[^\n]/g, ' '))
+    .replace(/(\/\/|#).*$/gm, ' ');
+  // C array: only the initializer holds data
+  const braces = source.match(/\{([\s\S]*)\}/);
+  if (braces) source = braces[1];
+
+  const bytes = [];
+  source.split(/\r?\n/).forEach((line, lineIndex) => {
+    bytes.push(...parseHexTokens(line, lineIndex));
+  });
+  if (!bytes.length) {
+    throw new Error('No hex bytes found');
+  }
+  return Uint8Array.from(bytes);
+}
+
+/**
+ * Whether a line looks like dump output with a leading offset:
+ * `hexdump -C` ("00000010  01 02 ...  |..|") or xxd / "offset:" lines ("0010: 0102 ...")
+ */
+function isDumpLine(line) {
+  return /^\s*[0-9a-fA-F]{8}\s.*\|.*\|\s*$/.test(line) || /^\s*[0-9a-fA-F]+:\s/.test(line);
+}
+
+/**
+ * Parse dump output line by line
+ * The ASCII column is dropped before anything else, so it may hold any
+ * character. Lines with only an offset (the end marker of `hexdump -C`) add
+ * no data, a `*` line repeats the previous line up to the next offset, and
+ * every offset must match the amount of data before it.
+ */
+function parseDumpLines(lines) {
+  const bytes = [];
+  let baseOffset = null;
+  let previous = null;
+  let repeat = false;
+  lines.forEach((line, lineIndex) => {
+    const trimmed = line.trim();
+    if (!trimmed || /^(#|\/\/)/.test(trimmed)) return;
+    if (trimmed === '*') {
+      repeat = true;
+      return;
+    }
+    const offsetMatch = trimmed.match(/^([0-9a-fA-F]+):?(?=\s|$)/);
+    if (!offsetMatch) {
+      throw new Error(`Missing offset on line ${lineIndex + 1}`);
+    }
+    const offset = parseInt(offsetMatch[1], 16);
+    if (baseOffset === null) baseOffset = offset;
+    if (repeat && previous && previous.length) {
+      while (bytes.length < offset - baseOffset) {
+        bytes.push(...previous);
+      }
+    }
+    repeat = false;
+    if (offset - baseOffset !== bytes.length) {
+      throw new Error(`Offset ${offsetMatch[1]} on line ${lineIndex + 1} does not match the ${bytes.length} bytes before it`);
+    }
+
+    const data = stripAsciiColumn(trimmed.slice(offsetMatch[0].length));
+    const lineBytes = parseHexTokens(data, lineIndex);
+    bytes.push(...lineBytes);
+    previous = lineBytes;
+  });
+  if (!bytes.length) {
+    throw new Error('No hex bytes found');
+  }
+  return Uint8Array.from(bytes);
+}
+
+/**
+ * Drop the ASCII column of a dump line (offset already removed)
+ * `hexdump -C` puts it between bars. xxd puts it after two spaces; there it
+ * is only dropped when it matches the bytes, as a plain "offset:" line may
+ * also use double spaces between byte groups.
+ */
+function stripAsciiColumn(data) {
+  if (/\|.*\|\s*$/.test(data)) {
+    return data.replace(/\|.*\|\s*$/, '');
+  }
+  const split = data.trim().match(/^(.*?\S)\s{2,}(.*)$/);
+  if (!split) return data;
+  let hexBytes;
+  try {
+    hexBytes = parseHexTokens(split[1], 0);
+  } catch (error) {
+    return data;
+  }
+  const rendered = hexBytes.map(b => (b >= 0x20 && b < 0x7F ? String.fromCharCode(b) : '.')).join('');
+  return rendered.trimEnd() === split[2].trimEnd() ? split[1] : data;
+}
+
+/**
+ * Parse the hex bytes of one line: space/comma separated, 0x-prefixed or in
+ * runs of several bytes (xxd groups, plain hex strings)
+ */
+function parseHexTokens(line, lineIndex) {
+  const bytes = [];
+  line.split(/[\s,;]+/).filter(Boolean).forEach(token => {
+    const hex = token.replace(/^0x/i, '');
+    if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length % 2 !== 0 || (hex !== token && hex.length > 2)) {
+      throw new Error(`Invalid hex "${token}" on line ${lineIndex + 1}`);
+    }
+    for (let i = 0; i < hex.length; i += 2) {
+      bytes.push(parseInt(hex.substr(i, 2), 16));
+    }
+  });
+  return bytes;
+}
+
+/**
+ * Format bytes as a hex dump that parseHexDump() reads back
+ * @param {Uint8Array|Array} bytes
+ * @returns {string} Space-separated hex, 16 bytes per line
+ */
+function formatHexDump(bytes) {
+  const hex = Array.from(bytes).map(b => b.toString(16).padStart(2, '0').toUpperCase());
+  const lines = [];
+  for (let i = 0; i < hex.length; i += HEX_DUMP_BYTES_PER_LINE) {
+    lines.push(hex.slice(i, i + HEX_DUMP_BYTES_PER_LINE).join(' '));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Format bytes as a C array declaration
+ * @param {Uint8Array|Array} bytes
+ * @param {string} name - C identifier for the array
+ * @returns {string} C source
+ */
+function formatCArray(bytes, name = 'opendisplay_config') {
+  const identifier = String(name).replace(/[^A-Za-z0-9_]/g, '_').replace(/^(?=\d)/, '_');
+  const hex = Array.from(bytes).map(b => '0x' + b.toString(16).padStart(2, '0').toUpperCase());
+  const lines = [];
+  for (let i = 0; i < hex.length; i += C_ARRAY_BYTES_PER_LINE) {
+    lines.push('  ' + hex.slice(i, i + C_ARRAY_BYTES_PER_LINE).join(', '));
+  }
+  return `// OpenDisplay config, ${hex.length} bytes (length, version, packets, CRC16)\n` +
+    `const uint8_t ${identifier}[${hex.length}] = {\n${lines.join(',\n')}\n};\n` +
+    `const size_t ${identifier}_len = sizeof(${identifier});\n`;
+}
+
+// CommonJS export for non-browser use (Node scripts and tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    parseHexDump,
+    formatHexDump,
+    formatCArray
+  };
+}
@@ -0,0 +1,145 @@
+/**
+ * Local config history stored in IndexedDB
+ * Keeps every config read from or written to a device together with the
+ * device name/id, firmware version, timestamp and CRC, so earlier configs can
+ * be browsed, compared, exported and restored.
+ */
+
+const CONFIG_HISTORY_DB_NAME = 'opendisplay-config-history';
+const CONFIG_HISTORY_DB_VERSION = 1;
+const CONFIG_HISTORY_STORE = 'snapshots';
+
+class ConfigHistory {
+  constructor(options = {}) {
+    this.dbName = options.dbName || CONFIG_HISTORY_DB_NAME;
+    this.indexedDB = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+    this.db = null;
+  }
+
+  /**
+   * Whether IndexedDB is available in this environment
+   */
+  isAvailable() {
+    return !!this.indexedDB;
+  }
+
+  /**
+   * Key used to group snapshots per device (BLE id, falling back to the name)
+   */
+  static deviceKey(device) {
+    if (!device) return 'unknown';
+    return device.id || device.name || 'unknown';
+  }
+
+  /**
+   * Open (and create/upgrade) the database
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (this.db) return Promise.resolve(this.db);
+    if (!this.indexedDB) return Promise.reject(new Error('IndexedDB is not available'));
+
+    return new Promise((resolve, reject) => {
+      const request = this.indexedDB.open(this.dbName, CONFIG_HISTORY_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(CONFIG_HISTORY_STORE)) {
+          const store = db.createObjectStore(CONFIG_HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('deviceKey', 'deviceKey', { unique: false });
+          store.createIndex('timestamp', 'timestamp', { unique: false });
+        }
+      };
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve(this.db);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Run a single request against the snapshot store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} makeRequest - (store) => IDBRequest
+   */
+  async run(mode, makeRequest) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(CONFIG_HISTORY_STORE, mode);
+      const request = makeRequest(tx.objectStore(CONFIG_HISTORY_STORE));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error || request.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+  }
+
+  /**
+   * Store a config snapshot
+   * @param {Object} entry - { device: { name, id }, firmwareVersion: { major, minor, sha } | null,
+   *   source: 'read' | 'write' | 'restore', bytes: Uint8Array|Array }
+   * @returns {Promise<number>} Id of the stored snapshot
+   */
+  add(entry) {
+    const bytes = Array.from(entry.bytes || []);
+    const record = {
+      deviceKey: ConfigHistory.deviceKey(entry.device),
+      deviceName: entry.device ? entry.device.name || null : null,
+      deviceId: entry.device ? entry.device.id || null : null,
+      firmwareVersion: entry.firmwareVersion || null,
+      source: entry.source || 'read',
+      timestamp: entry.timestamp || Date.now(),
+      length: bytes.length,
+      crc: bytes.length >= 2 ? bytes[bytes.length - 2] | (bytes[bytes.length - 1] << 8) : null,
+      bytes
+    };
+    return this.run('readwrite', store => store.add(record));
+  }
+
+  /**
+   * List snapshots, newest first
+   * @param {string|null} deviceKey - Only snapshots of this device (see deviceKey())
+   * @returns {Promise<Array>}
+   */
+  async list(deviceKey = null) {
+    const records = await this.run('readonly', store => deviceKey
+      ? store.index('deviceKey').getAll(deviceKey)
+      : store.getAll());
+    return records.sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  /**
+   * Get one snapshot by id
+   */
+  get(id) {
+    return this.run('readonly', store => store.get(id));
+  }
+
+  /**
+   * Delete one snapshot by id
+   */
+  remove(id) {
+    return this.run('readwrite', store => store.delete(id));
+  }
+
+  /**
+   * Known devices as [{ deviceKey, deviceName, count, lastTimestamp }]
+   */
+  async devices() {
+    const byKey = {};
+    for (const record of await this.list()) {
+      const entry = byKey[record.deviceKey] || (byKey[record.deviceKey] = {
+        deviceKey: record.deviceKey,
+        deviceName: record.deviceName,
+        count: 0,
+        lastTimestamp: record.timestamp
+      });
+      entry.count++;
+    }
+    return Object.values(byKey);
+  }
+}
+
+// CommonJS export for non-browser use (Node scripts and tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ConfigHistory };
+}
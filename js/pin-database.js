@@ -0,0 +1,175 @@
+/**
+ * Pin capability database per host IC
+ * Keyed by the system_config.ic_type enum name from config.yaml. Used by the
+ * builder's pin picker and by OpenDisplayBLE.validateConfig() to warn about
+ * strapping and flash/PSRAM-reserved pins. The number of GPIOs is not kept
+ * here: it is the gpio_count of the ic_type enum entry in config.yaml, which
+ * callers pass in.
+ *
+ * naming: 'port' renders nRF style names (GPIO 43 -> P1.11), 'gpio' renders GPIO43
+ * adc: ADC channel per GPIO
+ * strapping: boot/strapping pins sampled at reset
+ * reserved: pins wired to flash, PSRAM, crystal or reset on typical modules
+ * notes: shared functions worth knowing about (USB, UART, JTAG, NFC)
+ */
+const PIN_DATABASE = {
+  NRF52840: {
+    naming: 'port',
+    adc: {
+      2: 'AIN0', 3: 'AIN1', 4: 'AIN2', 5: 'AIN3',
+      28: 'AIN4', 29: 'AIN5', 30: 'AIN6', 31: 'AIN7'
+    },
+    strapping: {},
+    reserved: {
+      0: 'XL1 (32.768 kHz crystal)',
+      1: 'XL2 (32.768 kHz crystal)',
+      18: 'nRESET'
+    },
+    notes: {
+      9: 'NFC1, needs UICR NFCPINS cleared to use as GPIO',
+      10: 'NFC2, needs UICR NFCPINS cleared to use as GPIO'
+    }
+  },
+  ESP32S3: {
+    naming: 'gpio',
+    missing: [22, 23, 24, 25],
+    adc: {
+      1: 'ADC1_CH0', 2: 'ADC1_CH1', 3: 'ADC1_CH2', 4: 'ADC1_CH3', 5: 'ADC1_CH4',
+      6: 'ADC1_CH5', 7: 'ADC1_CH6', 8: 'ADC1_CH7', 9: 'ADC1_CH8', 10: 'ADC1_CH9',
+      11: 'ADC2_CH0', 12: 'ADC2_CH1', 13: 'ADC2_CH2', 14: 'ADC2_CH3', 15: 'ADC2_CH4',
+      16: 'ADC2_CH5', 17: 'ADC2_CH6', 18: 'ADC2_CH7', 19: 'ADC2_CH8', 20: 'ADC2_CH9'
+    },
+    strapping: {
+      0: 'boot mode',
+      3: 'JTAG signal source',
+      45: 'VDD_SPI voltage',
+      46: 'boot mode / ROM log'
+    },
+    reserved: {
+      26: 'SPICS1 (PSRAM)', 27: 'SPIHD (flash)', 28: 'SPIWP (flash)', 29: 'SPICS0 (flash)',
+      30: 'SPICLK (flash)', 31: 'SPIQ (flash)', 32: 'SPID (flash)',
+      33: 'SPIIO4 (octal flash/PSRAM)', 34: 'SPIIO5 (octal flash/PSRAM)', 35: 'SPIIO6 (octal flash/PSRAM)',
+      36: 'SPIIO7 (octal flash/PSRAM)', 37: 'SPIDQS (octal flash/PSRAM)'
+    },
+    notes: {
+      19: 'USB D-', 20: 'USB D+',
+      39: 'MTCK (JTAG)', 40: 'MTDO (JTAG)', 41: 'MTDI (JTAG)', 42: 'MTMS (JTAG)',
+      43: 'U0TXD', 44: 'U0RXD'
+    }
+  },
+  ESP32C3: {
+    naming: 'gpio',
+    adc: {
+      0: 'ADC1_CH0', 1: 'ADC1_CH1', 2: 'ADC1_CH2', 3: 'ADC1_CH3', 4: 'ADC1_CH4',
+      5: 'ADC2_CH0'
+    },
+    strapping: {
+      2: 'boot mode',
+      8: 'boot mode / ROM log',
+      9: 'boot mode'
+    },
+    reserved: {
+      12: 'SPIHD (flash)', 13: 'SPIWP (flash)', 14: 'SPICS0 (flash)',
+      15: 'SPICLK (flash)', 16: 'SPID (flash)', 17: 'SPIQ (flash)'
+    },
+    notes: {
+      4: 'MTMS (JTAG)', 5: 'MTDI (JTAG)', 6: 'MTCK (JTAG)', 7: 'MTDO (JTAG)',
+      18: 'USB D-', 19: 'USB D+',
+      20: 'U0RXD', 21: 'U0TXD'
+    }
+  },
+  ESP32C6: {
+    naming: 'gpio',
+    adc: {
+      0: 'ADC1_CH0', 1: 'ADC1_CH1', 2: 'ADC1_CH2', 3: 'ADC1_CH3',
+      4: 'ADC1_CH4', 5: 'ADC1_CH5', 6: 'ADC1_CH6'
+    },
+    strapping: {
+      4: 'SDIO sampling',
+      5: 'SDIO sampling',
+      8: 'boot mode / ROM log',
+      9: 'boot mode',
+      15: 'JTAG signal source'
+    },
+    reserved: {
+      24: 'SPICS0 (flash)', 25: 'SPIQ (flash)', 26: 'SPIWP (flash)', 27: 'VDD_SPI',
+      28: 'SPIHD (flash)', 29: 'SPICLK (flash)', 30: 'SPID (flash)'
+    },
+    notes: {
+      12: 'USB D-', 13: 'USB D+',
+      16: 'U0TXD', 17: 'U0RXD'
+    }
+  }
+};
+
+/**
+ * Get name and capabilities of a GPIO on a given IC
+ * @param {string} icName - system_config.ic_type enum name (e.g. 'NRF52840')
+ * @param {number} gpio - GPIO number as stored in the config
+ * @param {number} gpioCount - gpio_count of the IC from config.yaml (range not checked if omitted)
+ * @returns {Object|null} { gpio, name, label, exists, adc, strapping, reserved, note }
+ *   or null if the IC is unknown
+ */
+function getPinInfo(icName, gpio, gpioCount = null) {
+  const ic = PIN_DATABASE[icName];
+  if (!ic) return null;
+
+  const name = ic.naming === 'port'
+    ? `P${Math.floor(gpio / 32)}.${String(gpio % 32).padStart(2, '0')}`
+    : `GPIO${gpio}`;
+  const info = {
+    gpio,
+    name,
+    exists: gpio >= 0 && (!gpioCount || gpio < gpioCount) && !(ic.missing || []).includes(gpio),
+    adc: ic.adc[gpio] || null,
+    strapping: ic.strapping[gpio] || null,
+    reserved: ic.reserved[gpio] || null,
+    note: ic.notes[gpio] || null
+  };
+
+  const extras = [info.adc, info.note].filter(Boolean);
+  if (ic.naming === 'port') {
+    extras.unshift(`GPIO ${gpio}`);
+  }
+  info.label = extras.length ? `${name} (${extras.join(', ')})` : name;
+  return info;
+}
+
+/**
+ * List all GPIOs that exist on an IC
+ * @param {string} icName - system_config.ic_type enum name
+ * @param {number} gpioCount - gpio_count of the IC from config.yaml
+ * @returns {Array} getPinInfo() entries, empty if the IC or its GPIO count is unknown
+ */
+function listPins(icName, gpioCount) {
+  const ic = PIN_DATABASE[icName];
+  if (!ic || !gpioCount) return [];
+  const pins = [];
+  for (let gpio = 0; gpio < gpioCount; gpio++) {
+    const info = getPinInfo(icName, gpio, gpioCount);
+    if (info.exists) pins.push(info);
+  }
+  return pins;
+}
+
+/**
+ * Get a warning for a pin choice (strapping, reserved or non-existent pin)
+ * @param {string} icName - system_config.ic_type enum name
+ * @param {number} gpio - GPIO number (0xFF = unused, never warns)
+ * @param {number} gpioCount - gpio_count of the IC from config.yaml (range not checked if omitted)
+ * @returns {string|null} Warning text or null if the pin is fine
+ */
+function getPinWarning(icName, gpio, gpioCount = null) {
+  if (gpio === 0xFF) return null;
+  const info = getPinInfo(icName, gpio, gpioCount);
+  if (!info) return null;
+  if (!info.exists) return `${info.name} does not exist on ${icName}`;
+  if (info.reserved) return `${info.name} is reserved (${info.reserved})`;
+  if (info.strapping) return `${info.name} is a strapping pin (${info.strapping}), external pulls can change boot behaviour`;
+  return null;
+}
+
+// CommonJS export for non-browser use (Node scripts and tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { PIN_DATABASE, getPinInfo, listPins, getPinWarning };
+}
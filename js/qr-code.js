@@ -0,0 +1,394 @@
+/**
+ * Minimal offline QR code generator (ISO/IEC 18004, byte mode, versions 1-40)
+ * Used to show share links as a QR code so a phone can pick them up from the
+ * screen while provisioning tags. No network access or external library.
+ */
+
+/**
+ * Error correction levels with their format bits
+ */
+const QR_ECC = {
+  L: { ordinal: 0, formatBits: 1 },
+  M: { ordinal: 1, formatBits: 0 },
+  Q: { ordinal: 2, formatBits: 3 },
+  H: { ordinal: 3, formatBits: 2 }
+};
+
+// Per ECC level (L, M, Q, H) and version (index 1-40)
+const QR_ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+const QR_NUM_ERROR_CORRECTION_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+/**
+ * Number of data bits available in a version (after function patterns)
+ */
+function qrRawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+function qrDataCodewords(version, ecc) {
+  return Math.floor(qrRawDataModules(version) / 8) -
+    QR_ECC_CODEWORDS_PER_BLOCK[ecc.ordinal][version] * QR_NUM_ERROR_CORRECTION_BLOCKS[ecc.ordinal][version];
+}
+
+/**
+ * Multiply in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+ */
+function qrGfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function qrReedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = qrGfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = qrGfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function qrReedSolomonRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => { result[i] ^= qrGfMultiply(coef, factor); });
+  }
+  return result;
+}
+
+/**
+ * Split data codewords into blocks, add error correction and interleave
+ */
+function qrAddEccAndInterleave(data, version, ecc) {
+  const numBlocks = QR_NUM_ERROR_CORRECTION_BLOCKS[ecc.ordinal][version];
+  const blockEccLen = QR_ECC_CODEWORDS_PER_BLOCK[ecc.ordinal][version];
+  const rawCodewords = Math.floor(qrRawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+  const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+  const divisor = qrReedSolomonDivisor(blockEccLen);
+
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const block = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+    k += block.length;
+    const eccBytes = qrReedSolomonRemainder(block, divisor);
+    if (i < numShortBlocks) block.push(0);
+    blocks.push(block.concat(eccBytes));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      // Skip the padding byte of short blocks
+      if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+}
+
+/**
+ * Module matrix with function pattern bookkeeping
+ */
+class QRMatrix {
+  constructor(version, ecc) {
+    this.version = version;
+    this.ecc = ecc;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+  }
+
+  setFunctionModule(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.isFunction[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    const size = this.size;
+    for (let i = 0; i < size; i++) {
+      this.setFunctionModule(6, i, i % 2 === 0);
+      this.setFunctionModule(i, 6, i % 2 === 0);
+    }
+    this.drawFinderPattern(3, 3);
+    this.drawFinderPattern(size - 4, 3);
+    this.drawFinderPattern(3, size - 4);
+
+    const positions = this.alignmentPatternPositions();
+    const last = positions.length - 1;
+    positions.forEach((py, i) => positions.forEach((px, j) => {
+      // No alignment patterns on top of the finder patterns
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      this.drawAlignmentPattern(px, py);
+    }));
+
+    this.drawFormatBits(0);
+    this.drawVersion();
+  }
+
+  drawFinderPattern(x, y) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        const xx = x + dx;
+        const yy = y + dy;
+        if (xx >= 0 && xx < this.size && yy >= 0 && yy < this.size) {
+          this.setFunctionModule(xx, yy, dist !== 2 && dist !== 4);
+        }
+      }
+    }
+  }
+
+  drawAlignmentPattern(x, y) {
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        this.setFunctionModule(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
+  }
+
+  alignmentPatternPositions() {
+    if (this.version === 1) return [];
+    const numAlign = Math.floor(this.version / 7) + 2;
+    const step = Math.floor((this.version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+    const result = [6];
+    for (let pos = this.size - 7; result.length < numAlign; pos -= step) {
+      result.splice(1, 0, pos);
+    }
+    return result;
+  }
+
+  drawFormatBits(mask) {
+    const data = (this.ecc.formatBits << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) !== 0;
+    const size = this.size;
+
+    for (let i = 0; i <= 5; i++) this.setFunctionModule(8, i, bit(i));
+    this.setFunctionModule(8, 7, bit(6));
+    this.setFunctionModule(8, 8, bit(7));
+    this.setFunctionModule(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) this.setFunctionModule(14 - i, 8, bit(i));
+
+    for (let i = 0; i < 8; i++) this.setFunctionModule(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) this.setFunctionModule(8, size - 15 + i, bit(i));
+    this.setFunctionModule(8, size - 8, true);
+  }
+
+  drawVersion() {
+    if (this.version < 7) return;
+    let rem = this.version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+    const bits = (this.version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) !== 0;
+      const a = this.size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      this.setFunctionModule(a, b, dark);
+      this.setFunctionModule(b, a, dark);
+    }
+  }
+
+  drawCodewords(codewords) {
+    let i = 0;
+    for (let right = this.size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vert = 0; vert < this.size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? this.size - 1 - vert : vert;
+          if (!this.isFunction[y][x] && i < codewords.length * 8) {
+            this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  applyMask(mask) {
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        let invert;
+        switch (mask) {
+          case 0: invert = (x + y) % 2 === 0; break;
+          case 1: invert = y % 2 === 0; break;
+          case 2: invert = x % 3 === 0; break;
+          case 3: invert = (x + y) % 3 === 0; break;
+          case 4: invert = (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0; break;
+          case 5: invert = (x * y) % 2 + (x * y) % 3 === 0; break;
+          case 6: invert = ((x * y) % 2 + (x * y) % 3) % 2 === 0; break;
+          default: invert = ((x + y) % 2 + (x * y) % 3) % 2 === 0; break;
+        }
+        if (!this.isFunction[y][x] && invert) this.modules[y][x] = !this.modules[y][x];
+      }
+    }
+  }
+
+  /**
+   * Penalty score used to pick the mask (lower is easier to scan)
+   */
+  penaltyScore() {
+    const size = this.size;
+    const dark = (x, y) => x >= 0 && x < size && y >= 0 && y < size && this.modules[y][x];
+    let score = 0;
+
+    for (let a = 0; a < size; a++) {
+      for (const horizontal of [true, false]) {
+        // Runs of five or more modules of one color
+        let runLength = 1;
+        for (let b = 1; b <= size; b++) {
+          const same = b < size && (horizontal ? dark(b, a) === dark(b - 1, a) : dark(a, b) === dark(a, b - 1));
+          if (same) {
+            runLength++;
+          } else {
+            if (runLength >= 5) score += 3 + (runLength - 5);
+            runLength = 1;
+          }
+        }
+        // Finder-like 1:1:3:1:1 patterns with four light modules on one side
+        for (let b = -4; b < size; b++) {
+          const at = (offset) => horizontal ? dark(b + offset, a) : dark(a, b + offset);
+          const core = [true, false, true, true, true, false, true].every((d, k) => at(4 + k) === d);
+          if (!core) continue;
+          const lightBefore = [0, 1, 2, 3].every(k => !at(k));
+          const lightAfter = [11, 12, 13, 14].every(k => !at(k));
+          if (lightBefore || lightAfter) score += 40;
+        }
+      }
+    }
+
+    let darkCount = 0;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (this.modules[y][x]) darkCount++;
+        if (x < size - 1 && y < size - 1) {
+          const color = this.modules[y][x];
+          if (color === this.modules[y][x + 1] && color === this.modules[y + 1][x] && color === this.modules[y + 1][x + 1]) {
+            score += 3;
+          }
+        }
+      }
+    }
+    const total = size * size;
+    score += (Math.ceil(Math.abs(darkCount * 20 - total * 10) / total) - 1) * 10;
+    return score;
+  }
+}
+
+/**
+ * Encode text (UTF-8, byte mode) as a QR code
+ * @param {string} text - Text to encode, e.g. a share link
+ * @param {string} eccLevel - 'L', 'M', 'Q' or 'H'
+ * @returns {Object} { version, size, modules: boolean[][] } (modules[y][x], true = dark)
+ * @throws {Error} If the text does not fit in a version 40 QR code
+ */
+function encodeQRCode(text, eccLevel = 'M') {
+  const ecc = QR_ECC[eccLevel];
+  if (!ecc) throw new Error(`Unknown QR error correction level "${eccLevel}"`);
+  const data = Array.from(new TextEncoder().encode(text));
+
+  let version = 1;
+  for (; version <= 40; version++) {
+    const countBits = version <= 9 ? 8 : 16;
+    if (data.length < (1 << countBits) && 4 + countBits + data.length * 8 <= qrDataCodewords(version, ecc) * 8) break;
+  }
+  if (version > 40) {
+    throw new Error(`Text is too long for a QR code (${data.length} bytes)`);
+  }
+
+  // Mode indicator (byte), character count, data, terminator and padding
+  const bits = [];
+  const appendBits = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+  appendBits(0x4, 4);
+  appendBits(data.length, version <= 9 ? 8 : 16);
+  data.forEach(b => appendBits(b, 8));
+  const capacityBits = qrDataCodewords(version, ecc) * 8;
+  appendBits(0, Math.min(4, capacityBits - bits.length));
+  appendBits(0, (8 - bits.length % 8) % 8);
+  for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) appendBits(pad, 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+
+  const matrix = new QRMatrix(version, ecc);
+  matrix.drawFunctionPatterns();
+  matrix.drawCodewords(qrAddEccAndInterleave(codewords, version, ecc));
+
+  let bestMask = 0;
+  let bestScore = Infinity;
+  for (let mask = 0; mask < 8; mask++) {
+    matrix.applyMask(mask);
+    matrix.drawFormatBits(mask);
+    const score = matrix.penaltyScore();
+    if (score < bestScore) {
+      bestMask = mask;
+      bestScore = score;
+    }
+    matrix.applyMask(mask); // XOR again to undo
+  }
+  matrix.applyMask(bestMask);
+  matrix.drawFormatBits(bestMask);
+
+  return { version, size: matrix.size, modules: matrix.modules };
+}
+
+/**
+ * Draw a QR code on a canvas
+ * @param {HTMLCanvasElement} canvas - Target canvas (resized to fit)
+ * @param {Object} qr - Result of encodeQRCode()
+ * @param {Object} options - { scale: pixels per module, margin: quiet zone in modules, dark, light }
+ */
+function drawQRCode(canvas, qr, options = {}) {
+  const scale = options.scale || 4;
+  const margin = options.margin !== undefined ? options.margin : 4;
+  const pixels = (qr.size + margin * 2) * scale;
+  canvas.width = pixels;
+  canvas.height = pixels;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = options.light || '#ffffff';
+  ctx.fillRect(0, 0, pixels, pixels);
+  ctx.fillStyle = options.dark || '#000000';
+  for (let y = 0; y < qr.size; y++) {
+    for (let x = 0; x < qr.size; x++) {
+      if (qr.modules[y][x]) ctx.fillRect((x + margin) * scale, (y + margin) * scale, scale, scale);
+    }
+  }
+}
+
+// CommonJS export for non-browser use (Node scripts and tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { QR_ECC, encodeQRCode, drawQRCode };
+}
@@ -0,0 +1,171 @@
+/**
+ * Share link encoding for configs
+ * Format: "od1." + base64url([method][CRC-32 of the config, LE][data]) where
+ * method 1 is deflate-raw compressed data and 0 is stored as-is (for browsers
+ * without CompressionStream). The version prefix and CRC let mangled links be
+ * detected instead of parsed into garbage. Links from before this format hold
+ * the raw config bytes as plain base64url.
+ */
+
+const SHARE_LINK_PREFIX = 'od1.';
+const SHARE_METHOD_STORED = 0;
+const SHARE_METHOD_DEFLATE = 1;
+
+let crc32Table = null;
+
+/**
+ * CRC-32 (IEEE 802.3, as used by zip/PNG)
+ * @param {Uint8Array|Array} bytes
+ * @returns {number} Unsigned 32-bit CRC
+ */
+function crc32(bytes) {
+  if (!crc32Table) {
+    crc32Table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crc32Table[n] = c >>> 0;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function base64urlEncode(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=/g, '');
+}
+
+function base64urlDecode(str) {
+  if (!/^[A-Za-z0-9_-]*$/.test(str)) {
+    throw new Error('Invalid characters in base64url data');
+  }
+  let base64 = str.replace(/-/g, '+').replace(/_/g, '/');
+  while (base64.length % 4) {
+    base64 += '=';
+  }
+  const binaryString = atob(base64);
+  return new Uint8Array(binaryString.split('').map(c => c.charCodeAt(0)));
+}
+
+/**
+ * Run bytes through a CompressionStream/DecompressionStream
+ */
+async function transformBytes(bytes, stream) {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+/**
+ * Whether deflate-raw compression is available in this environment
+ */
+function canCompressShareLinks() {
+  return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+}
+
+/**
+ * Whether a ?config= value uses the versioned share format
+ */
+function isShareToken(value) {
+  return typeof value === 'string' && /^od\d+\./.test(value);
+}
+
+/**
+ * Encode config bytes as a share token for ?config=
+ * @param {Uint8Array|Array} configBytes - Config bytes (with length and CRC16)
+ * @returns {Promise<string>} "od1.<base64url>"
+ */
+async function encodeShareToken(configBytes) {
+  const bytes = Uint8Array.from(configBytes);
+  let method = SHARE_METHOD_STORED;
+  let data = bytes;
+  if (canCompressShareLinks()) {
+    const compressed = await transformBytes(bytes, new CompressionStream('deflate-raw'));
+    if (compressed.length < bytes.length) {
+      method = SHARE_METHOD_DEFLATE;
+      data = compressed;
+    }
+  }
+  const crc = crc32(bytes);
+  const payload = new Uint8Array(5 + data.length);
+  payload[0] = method;
+  payload[1] = crc & 0xFF;
+  payload[2] = (crc >>> 8) & 0xFF;
+  payload[3] = (crc >>> 16) & 0xFF;
+  payload[4] = (crc >>> 24) & 0xFF;
+  payload.set(data, 5);
+  return SHARE_LINK_PREFIX + base64urlEncode(payload);
+}
+
+/**
+ * Decode a share token (or a legacy raw base64url config) back to config bytes
+ * @param {string} token - ?config= value
+ * @returns {Promise<Object>} { bytes: Uint8Array, format: 'od1' | 'legacy', compressed }
+ * @throws {Error} If the token is of an unknown version, truncated or fails its CRC
+ */
+async function decodeShareToken(token) {
+  const value = String(token || '').trim();
+  if (!isShareToken(value)) {
+    return { bytes: base64urlDecode(value), format: 'legacy', compressed: false };
+  }
+  if (!value.startsWith(SHARE_LINK_PREFIX)) {
+    throw new Error(`Unsupported share link version "${value.split('.')[0]}", this configurator reads ${SHARE_LINK_PREFIX.slice(0, -1)}`);
+  }
+
+  let payload;
+  try {
+    payload = base64urlDecode(value.slice(SHARE_LINK_PREFIX.length));
+  } catch (error) {
+    throw new Error('Share link is damaged: ' + error.message);
+  }
+  if (payload.length < 6) {
+    throw new Error('Share link is truncated');
+  }
+  const method = payload[0];
+  const expectedCrc = (payload[1] | (payload[2] << 8) | (payload[3] << 16) | (payload[4] << 24)) >>> 0;
+  const data = payload.slice(5);
+
+  let bytes;
+  if (method === SHARE_METHOD_STORED) {
+    bytes = data;
+  } else if (method === SHARE_METHOD_DEFLATE) {
+    if (!canCompressShareLinks()) {
+      throw new Error('This browser cannot decompress share links (no DecompressionStream)');
+    }
+    try {
+      bytes = await transformBytes(data, new DecompressionStream('deflate-raw'));
+    } catch (error) {
+      throw new Error('Share link is damaged: compressed data is invalid');
+    }
+  } else {
+    throw new Error(`Share link uses unknown method ${method}`);
+  }
+
+  const actualCrc = crc32(bytes);
+  if (actualCrc !== expectedCrc) {
+    throw new Error(`Share link is damaged: CRC mismatch (expected 0x${expectedCrc.toString(16).padStart(8, '0')}, got 0x${actualCrc.toString(16).padStart(8, '0')})`);
+  }
+  return { bytes, format: 'od1', compressed: method === SHARE_METHOD_DEFLATE };
+}
+
+// CommonJS export for non-browser use (Node scripts and tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SHARE_LINK_PREFIX,
+    crc32,
+    base64urlEncode,
+    base64urlDecode,
+    canCompressShareLinks,
+    isShareToken,
+    encodeShareToken,
+    decodeShareToken
+  };
+}
@@ -0,0 +1,166 @@
+/**
+ * User-defined presets stored in localStorage
+ * Each preset holds a builder config plus the same metadata fields as the
+ * entries in presets/index.json, so built-in and user presets can be listed
+ * and filtered together. Presets can be exported and imported as a bundle
+ * file to share a whole catalogue.
+ */
+
+const USER_PRESETS_STORAGE_KEY = 'opendisplay-user-presets';
+const PRESET_BUNDLE_FORMAT = 'opendisplay-preset-bundle';
+const PRESET_BUNDLE_VERSION = 1;
+
+class UserPresetStore {
+  constructor(options = {}) {
+    this.storageKey = options.storageKey || USER_PRESETS_STORAGE_KEY;
+    this.storage = options.storage || null;
+    if (!this.storage) {
+      // Reading localStorage throws when storage is blocked (e.g. opaque origins)
+      try {
+        this.storage = typeof localStorage !== 'undefined' ? localStorage : null;
+      } catch (error) {
+        this.storage = null;
+      }
+    }
+  }
+
+  /**
+   * Whether browser storage is available in this environment
+   */
+  isAvailable() {
+    return !!this.storage;
+  }
+
+  /**
+   * All stored presets, in the order they were first saved
+   * @returns {Array} [{ id, name, description, saved_at, config, ...metadata }]
+   */
+  list() {
+    if (!this.storage) return [];
+    try {
+      const stored = JSON.parse(this.storage.getItem(this.storageKey) || '[]');
+      return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Write the full preset list back to storage
+   */
+  store(presets) {
+    if (!this.storage) throw new Error('Browser storage is not available');
+    this.storage.setItem(this.storageKey, JSON.stringify(presets));
+  }
+
+  /**
+   * Save a preset; a preset with the same name is replaced
+   * @param {Object} preset - { name, description, config: { version, minor_version, packets }, ...metadata }
+   * @returns {Object} The stored preset
+   */
+  save(preset) {
+    const name = String(preset.name || '').trim();
+    if (!name) throw new Error('Preset name is required');
+    if (!preset.config || !Array.isArray(preset.config.packets)) {
+      throw new Error('Preset has no packets');
+    }
+
+    const presets = this.list();
+    const existing = presets.findIndex(p => p.name === name);
+    const stored = {
+      ...preset,
+      id: existing >= 0 ? presets[existing].id : 'user-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+      name,
+      description: preset.description || '',
+      saved_at: preset.saved_at || new Date().toISOString()
+    };
+    if (existing >= 0) {
+      presets[existing] = stored;
+    } else {
+      presets.push(stored);
+    }
+    this.store(presets);
+    return stored;
+  }
+
+  /**
+   * Delete a preset by id
+   * @returns {boolean} Whether a preset was removed
+   */
+  remove(id) {
+    const presets = this.list();
+    const remaining = presets.filter(p => p.id !== id);
+    if (remaining.length === presets.length) return false;
+    this.store(remaining);
+    return true;
+  }
+
+  /**
+   * Build a bundle file with the given presets (all stored presets by default)
+   * @param {Array|null} ids - Preset ids to include
+   * @returns {Object} { format, version, exported_at, exported_by, presets }
+   */
+  exportBundle(ids = null) {
+    const presets = this.list()
+      .filter(p => !ids || ids.includes(p.id))
+      .map(({ id, ...preset }) => preset);
+    return {
+      format: PRESET_BUNDLE_FORMAT,
+      version: PRESET_BUNDLE_VERSION,
+      exported_at: new Date().toISOString(),
+      exported_by: 'OpenDisplay Config Builder',
+      presets
+    };
+  }
+
+  /**
+   * Whether an object looks like a preset bundle
+   */
+  static isBundle(data) {
+    return !!data && data.format === PRESET_BUNDLE_FORMAT && Array.isArray(data.presets);
+  }
+
+  /**
+   * Import the presets of a bundle
+   * @param {Object} bundle - Bundle as produced by exportBundle()
+   * @param {Object} options - { overwrite: boolean } replace presets with the same name
+   *   (default), or skip them
+   * @returns {Object} { added, replaced, skipped, invalid } preset names
+   */
+  importBundle(bundle, options = {}) {
+    if (!UserPresetStore.isBundle(bundle)) {
+      throw new Error('Not a preset bundle file');
+    }
+    if (bundle.version > PRESET_BUNDLE_VERSION) {
+      throw new Error(`Preset bundle version ${bundle.version} is newer than supported (${PRESET_BUNDLE_VERSION})`);
+    }
+    const overwrite = options.overwrite !== false;
+    const result = { added: [], replaced: [], skipped: [], invalid: [] };
+    const existingNames = new Set(this.list().map(p => p.name));
+
+    for (const preset of bundle.presets) {
+      if (!preset || !preset.name || !preset.config || !Array.isArray(preset.config.packets)) {
+        result.invalid.push(preset && preset.name ? preset.name : '(unnamed)');
+        continue;
+      }
+      if (existingNames.has(preset.name)) {
+        if (!overwrite) {
+          result.skipped.push(preset.name);
+          continue;
+        }
+        result.replaced.push(preset.name);
+      } else {
+        result.added.push(preset.name);
+      }
+      const { id, ...rest } = preset;
+      this.save(rest);
+      existingNames.add(preset.name);
+    }
+    return result;
+  }
+}
+
+// CommonJS export for non-browser use (Node scripts and tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { UserPresetStore, PRESET_BUNDLE_FORMAT, PRESET_BUNDLE_VERSION };
+}
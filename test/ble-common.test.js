@@ -0,0 +1,383 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { OpenDisplayBLE, SECRET_PLACEHOLDER } = require('../js/ble-common.js');
+const { OpenDisplayEmulator } = require('../js/ble-emulator.js');
+
+const CONFIG_YAML = fs.readFileSync(path.join(__dirname, '../firmware/config/config.yaml'), 'utf8');
+
+// Config envelopes around dummy packet data; the large one takes several read and write chunks
+const codec = new OpenDisplayBLE({ transport: new OpenDisplayEmulator(), configYAMLText: CONFIG_YAML, onLog: () => {} });
+const SMALL_CONFIG = codec.wrapConfigEnvelope([1, 2, 3, 4, 5], 1);
+const LARGE_CONFIG = codec.wrapConfigEnvelope(Array.from({ length: 600 }, (_, i) => i & 0xFF), 1);
+
+async function connect(emulatorOptions = {}, bleOptions = {}) {
+  const emulator = new OpenDisplayEmulator(emulatorOptions);
+  const ble = new OpenDisplayBLE({
+    transport: emulator,
+    configYAMLText: CONFIG_YAML,
+    onLog: () => {},
+    commandTimeout: 500,
+    ...bleOptions
+  });
+  await ble.connect('OD');
+  return { emulator, ble };
+}
+
+const opcodes = emulator => emulator.received.map(frame => frame.opcode);
+
+test('rejects running and queued operations on disconnect', async () => {
+  const { emulator, ble } = await connect({ configBytes: SMALL_CONFIG });
+  emulator.onCommand = opcode => opcode === 0x0040;
+  const read = ble.readConfig({ timeout: 0 });
+  const version = ble.readFirmwareVersion();
+  setTimeout(() => emulator.simulateDisconnect(), 10);
+  await assert.rejects(read, { code: 'disconnected' });
+  await assert.rejects(version, { code: 'disconnected' });
+  assert.strictEqual(ble.pendingOperations.size, 0);
+  assert.deepStrictEqual(ble.getQueueStatus(), { active: null, queued: [] });
+});
+
+
+test('runs queued operations one at a time and drops cancelled ones', async () => {
+  const { emulator, ble } = await connect({ configBytes: SMALL_CONFIG });
+  const statuses = [];
+  ble.onQueueChange = status => statuses.push(status);
+  const read = ble.readConfig();
+  const write = ble.writeConfig(SMALL_CONFIG);
+  const version = ble.readFirmwareVersion();
+  const status = ble.getQueueStatus();
+  assert.strictEqual(status.active.name, 'Config read');
+  assert.deepStrictEqual(status.queued.map(entry => entry.name), ['Config write', 'Firmware version read']);
+
+  assert.strictEqual(ble.cancelOperation(status.queued[0].id), true);
+  await assert.rejects(write, { code: 'aborted' });
+  await read;
+  await version;
+  assert.deepStrictEqual(opcodes(emulator), [0x0040, 0x0043]);
+  assert.deepStrictEqual(statuses[statuses.length - 1], { active: null, queued: [] });
+  await ble.disconnect();
+});
+
+
+test('keeps the queue slot of a cancelled operation until it has stopped', async () => {
+  const { emulator, ble } = await connect({ configBytes: SMALL_CONFIG });
+  emulator.onCommand = opcode => opcode === 0x0040;
+  const read = ble.readConfig({ timeout: 0 });
+  const version = ble.readFirmwareVersion();
+  assert.strictEqual(ble.cancelOperation(ble.getQueueStatus().active.id), true);
+  assert.strictEqual(ble.getQueueStatus().active.name, 'Config read');
+  await assert.rejects(read, { code: 'aborted' });
+  await version;
+  assert.deepStrictEqual(opcodes(emulator), [0x0040, 0x0043]);
+  await ble.disconnect();
+});
+
+test('reads the config and firmware version', async () => {
+  const { ble } = await connect({ configBytes: LARGE_CONFIG });
+  const progress = [];
+  const bytes = await ble.readConfig({ onProgress: (received, total) => progress.push([received, total]) });
+  assert.deepStrictEqual(Array.from(bytes), LARGE_CONFIG);
+  assert.deepStrictEqual(progress[progress.length - 1], [LARGE_CONFIG.length, LARGE_CONFIG.length]);
+  assert.deepStrictEqual(await ble.readFirmwareVersion(), { major: 1, minor: 0, sha: 'emulator' });
+  await ble.disconnect();
+});
+
+
+test('still accepts the old completion callbacks', async () => {
+  const { emulator, ble } = await connect({ configBytes: SMALL_CONFIG });
+  let result = null;
+  await ble.readConfig((bytes, error) => { result = [Array.from(bytes), error]; });
+  assert.deepStrictEqual(result, [SMALL_CONFIG, null]);
+  await ble.readFirmwareVersion((versionInfo, error) => { result = [versionInfo.major, error]; });
+  assert.deepStrictEqual(result, [1, null]);
+  emulator.injectFault('configWriteError');
+  await ble.writeConfig(SMALL_CONFIG, (error) => { result = error; });
+  assert.strictEqual(result.code, 'device');
+  await ble.disconnect();
+});
+
+
+test('rejects with code device, timeout or aborted', async () => {
+  const { emulator, ble } = await connect({ configBytes: SMALL_CONFIG });
+  emulator.injectFault('configReadError');
+  await assert.rejects(ble.readConfig(), { code: 'device' });
+  emulator.clearFaults();
+  emulator.injectFault('dropConfigChunk', { chunk: 0 });
+  await assert.rejects(ble.readConfig({ timeout: 50 }), { code: 'timeout' });
+  emulator.clearFaults();
+
+  const controller = new AbortController();
+  const read = ble.readConfig({ signal: controller.signal });
+  controller.abort();
+  await assert.rejects(read, { code: 'aborted', name: 'AbortError' });
+  assert.strictEqual(ble.configReadState.active, false);
+  await ble.disconnect();
+});
+
+
+test('fails only the running operation on a command error (FFFF)', async () => {
+  const { emulator, ble } = await connect();
+  emulator.onCommand = (opcode, payload, device) => {
+    if (opcode !== 0x0043) return false;
+    device.respond([0xFF, 0xFF]);
+    return true;
+  };
+  const unrelated = ble.trackOperation('Unrelated', { timeout: 0 });
+  await assert.rejects(ble.readFirmwareVersion(), { code: 'device' });
+  assert.strictEqual(unrelated.settled, false);
+  unrelated.resolve();
+  await ble.disconnect();
+});
+
+test('loads the commands from the shipped config.yaml when the YAML has none', async () => {
+  const yaml = require('../js/js-yaml.min.js');
+  const spec = yaml.load(CONFIG_YAML);
+  delete spec.ble_proto.commands;
+  delete spec.ble_proto.notifications;
+  const { emulator, ble } = await connect({ configBytes: SMALL_CONFIG }, { configYAMLText: yaml.dump(spec) });
+  assert.strictEqual(ble.commandOpcodes.size, 0);
+  assert.deepStrictEqual(Array.from(await ble.readConfig()), SMALL_CONFIG);
+  await ble.commands.reboot();
+  assert.strictEqual(emulator.received[emulator.received.length - 1].opcode, 0x000F);
+  await ble.disconnect();
+});
+
+test('generates command methods and response decoders from the YAML', async () => {
+  const { emulator, ble } = await connect();
+  assert.strictEqual(typeof ble.commands.configWriteChunk, 'function');
+  await ble.commands.configWrite({ total_length: 300, data: [1, 2] });
+  assert.deepStrictEqual(emulator.received[0], { opcode: 0x0041, payload: [0x2C, 0x01, 1, 2] });
+  const frame = ble.decodeFrame(Uint8Array.from([0x00, 0x43, 1, 2, 3, 0x61, 0x62, 0x63]));
+  assert.strictEqual(frame.name, 'firmware_version');
+  assert.deepStrictEqual({ ...frame.decoded }, { major: 1, minor: 2, sha_length: 3, sha: 'abc' });
+  await assert.rejects(ble.sendNamedCommand('no_such_command'), /Unknown command/);
+  await ble.disconnect();
+});
+
+test('paces chunked config writes when the device only acks the whole config', async () => {
+  const { emulator, ble } = await connect();
+  const progress = [];
+  await ble.writeConfig(LARGE_CONFIG, { onProgress: sent => progress.push(sent) });
+  assert.deepStrictEqual(emulator.configStore, LARGE_CONFIG);
+  assert.deepStrictEqual(opcodes(emulator), [0x0041, 0x0042, 0x0042, 0x0042]);
+  assert.deepStrictEqual(progress, [200, 400, 600, LARGE_CONFIG.length]);
+  assert.strictEqual(ble.detectedChunkAcks, false);
+
+  // Known from here on: no wait for an ack of the first chunk
+  const started = Date.now();
+  await ble.writeConfig(LARGE_CONFIG, { chunkDelay: 10 });
+  assert.ok(Date.now() - started < 300);
+  await ble.disconnect();
+  assert.strictEqual(ble.detectedChunkAcks, null);
+});
+
+test('restarts a paced write that lost a chunk', async () => {
+  const { emulator, ble } = await connect();
+  emulator.injectFault('dropConfigWriteChunk', { chunk: 1 });
+  await ble.writeConfig(LARGE_CONFIG, { chunkAcks: false, chunkDelay: 10, timeout: 100 });
+  assert.deepStrictEqual(opcodes(emulator), [0x0041, 0x0042, 0x0042, 0x0042, 0x0041, 0x0042, 0x0042, 0x0042]);
+  assert.deepStrictEqual(emulator.configStore, LARGE_CONFIG);
+  await ble.disconnect();
+});
+
+test('waits for per-chunk acks when the device sends them', async () => {
+  for (const chunkAcks of [undefined, true]) {
+    const { emulator, ble } = await connect({ chunkAcks: true });
+    const progress = [];
+    const started = Date.now();
+    await ble.writeConfig(LARGE_CONFIG, { chunkAcks, onProgress: sent => progress.push(sent) });
+    assert.ok(Date.now() - started < 300, 'acked chunks are not paced');
+    assert.deepStrictEqual(emulator.configStore, LARGE_CONFIG);
+    assert.deepStrictEqual(progress, [200, 400, 600, LARGE_CONFIG.length]);
+    await ble.disconnect();
+  }
+});
+
+test('restarts the whole write when a chunk ack goes missing', async () => {
+  const { emulator, ble } = await connect({ chunkAcks: true });
+  emulator.injectFault('dropConfigWriteChunk', { chunk: 1 });
+  await ble.writeConfig(LARGE_CONFIG, { chunkAcks: true, ackTimeout: 50 });
+  assert.deepStrictEqual(opcodes(emulator), [0x0041, 0x0042, 0x0041, 0x0042, 0x0042, 0x0042]);
+  assert.deepStrictEqual(emulator.configStore, LARGE_CONFIG);
+
+  emulator.received = [];
+  emulator.onCommand = opcode => opcode === 0x0042;
+  await assert.rejects(ble.writeConfig(LARGE_CONFIG, { chunkAcks: true, ackTimeout: 20 }), { code: 'timeout' });
+  assert.strictEqual(emulator.received.filter(frame => frame.opcode === 0x0041).length, 4);
+  await ble.disconnect();
+});
+
+test('does not count a late ack of an abandoned attempt against the restart', async () => {
+  const { emulator, ble } = await connect({ chunkAcks: true });
+  let delayed = false;
+  emulator.onCommand = (opcode, payload, device) => {
+    if (opcode !== 0x0041 || delayed) return false;
+    // First frame is lost, its ack turns up after the write was given up on
+    delayed = true;
+    setTimeout(() => device.respond([0x00, 0xCE]), 80);
+    return true;
+  };
+  await ble.writeConfig(LARGE_CONFIG, { chunkAcks: true, ackTimeout: 50 });
+  assert.deepStrictEqual(opcodes(emulator), [0x0041, 0x0041, 0x0042, 0x0042, 0x0042]);
+  assert.deepStrictEqual(emulator.configStore, LARGE_CONFIG);
+  await ble.disconnect();
+});
+
+test('recovers the packets around an unknown packet and repairs the envelope', () => {
+  const preset = JSON.parse(fs.readFileSync(path.join(__dirname, '../firmware/config/presets/esp32-c3-bo.json'), 'utf8'));
+  const config = codec.encodeConfig(codec.fromSymbolicConfig(codec.migrateConfig(preset).config).packets);
+  const body = config.slice(3, config.length - 2);
+  const firstPacketEnd = 2 + codec.packetSizes[body[1]];
+  // Unknown packet type 0x7E with a 3-byte payload after the first packet
+  const damaged = codec.wrapConfigEnvelope([...body.slice(0, firstPacketEnd), 1, 0x7E, 9, 9, 9, ...body.slice(firstPacketEnd)], 1);
+  const known = codec.parseConfigBytes(config).packets.map(packet => packet.id);
+
+  const strict = codec.parseConfigBytes(damaged);
+  assert.strictEqual(strict.packets.length, 1);
+  assert.ok(strict.diagnostics.length > 0);
+
+  const recovered = codec.parseConfigBytes(damaged, { recover: true });
+  const opaque = recovered.packets.filter(packet => packet.opaque);
+  assert.strictEqual(opaque.length, 1);
+  assert.deepStrictEqual(recovered.packets.filter(packet => !packet.opaque).map(packet => packet.id), known);
+  assert.ok(recovered.diagnostics.every(diagnostic => diagnostic.confidence >= 0 && diagnostic.confidence <= 1));
+
+  const truncated = config.slice(0, config.length - 4);
+  const repair = codec.repairConfigBytes(truncated);
+  assert.deepStrictEqual(repair.repaired, ['length', 'crc']);
+  const reparsed = codec.parseConfigBytes(repair.bytes, { recover: true });
+  assert.deepStrictEqual(reparsed.diagnostics.map(diagnostic => diagnostic.reason), ['truncated_packet']);
+  assert.strictEqual(reparsed.packets[reparsed.packets.length - 1].truncated, true);
+});
+
+test('validates pin conflicts, pin ranges and required packets', () => {
+  const preset = JSON.parse(fs.readFileSync(path.join(__dirname, '../firmware/config/presets/esp32-c6-bo.json'), 'utf8'));
+  assert.deepStrictEqual(codec.validateConfig(preset.packets).errors, []);
+
+  const systemConfig = preset.packets.find(packet => packet.id === '1');
+  systemConfig.fields.pwr_pin = '0';
+  const conflicts = codec.validateConfig(preset.packets).errors;
+  assert.deepStrictEqual(conflicts.map(issue => `${issue.packetName}.${issue.field}`), ['system_config.pwr_pin', 'display.reset_pin']);
+  assert.strictEqual(conflicts[0].message, 'GPIO 0 is also assigned to display.reset_pin');
+
+  systemConfig.fields.pwr_pin = '99';
+  assert.strictEqual(codec.validateConfig(preset.packets).errors[0].message, 'pin 99 is out of range for ESP32C6 (0-30)');
+
+  const missing = codec.validateConfig(preset.packets.filter(packet => packet.id !== '1')).errors;
+  assert.ok(missing.some(issue => issue.message === 'required packet system_config is missing'));
+});
+
+test('diffs a config against edited config bytes field by field', () => {
+  const preset = JSON.parse(fs.readFileSync(path.join(__dirname, '../firmware/config/presets/esp32-c6-bo.json'), 'utf8'));
+  assert.strictEqual(codec.diffConfigs(preset, preset).changedFields, 0);
+
+  const edited = codec.fromSymbolicConfig(codec.migrateConfig(preset).config);
+  edited.packets = edited.packets.filter(packet => packet.id !== '4');
+  edited.packets.find(packet => packet.id === '32').fields.busy_pin = '22';
+  const diff = codec.diffConfigs(preset, codec.encodeConfig(edited.packets));
+  assert.strictEqual(diff.changedFields, 1);
+  assert.strictEqual(diff.removedPackets, 1);
+  assert.strictEqual(diff.addedPackets, 0);
+  assert.deepStrictEqual(diff.packets.map(packet => [packet.packetName, packet.status]),
+    [['system_config', 'unchanged'], ['manufacturer_data', 'unchanged'], ['power_option', 'removed'], ['display', 'changed']]);
+  assert.deepStrictEqual(diff.packets[3].fields, [{ name: 'busy_pin', before: '23 (0x17)', after: '22 (0x16)' }]);
+});
+
+test('rolls back to the snapshot when the read-back does not verify', async () => {
+  const { emulator, ble } = await connect({ configBytes: LARGE_CONFIG });
+  const steps = [];
+  const result = await ble.writeConfigVerified(SMALL_CONFIG, { onStep: name => steps.push(name) });
+  assert.deepStrictEqual(steps, ['snapshot', 'write', 'verify']);
+  assert.deepStrictEqual(result.snapshot, LARGE_CONFIG);
+  assert.deepStrictEqual(emulator.configStore, SMALL_CONFIG);
+
+  // The device stores a corrupted copy: the read-back after the write fails its CRC
+  let reads = 0;
+  emulator.onCommand = (opcode, payload, device) => {
+    if (opcode === 0x0040 && ++reads === 2) device.configStore[10] ^= 0xFF;
+    return false;
+  };
+  await assert.rejects(ble.writeConfigVerified(LARGE_CONFIG), error => {
+    assert.strictEqual(error.message, 'Config verification failed: read-back CRC is invalid');
+    assert.strictEqual(error.rolledBack, true);
+    assert.deepStrictEqual(error.snapshot, SMALL_CONFIG);
+    return true;
+  });
+  assert.deepStrictEqual(emulator.configStore, SMALL_CONFIG);
+  await ble.disconnect();
+});
+
+test('merges preset layers with overrides, removals and field origins', () => {
+  const preset = JSON.parse(fs.readFileSync(path.join(__dirname, '../firmware/config/presets/esp32-c6-bo.json'), 'utf8'));
+  const overlay = {
+    packets: [
+      { id: 'power_option', fields: { sleep_timeout_ms: '5000' } },
+      { id: 'display', fields: { instance_number: '0' }, remove: true },
+      { id: '33', fields: { instance_number: '0' } }
+    ]
+  };
+  const merged = codec.mergeConfigLayers([{ name: 'base', config: preset }, { name: 'overlay', config: overlay }]);
+  assert.deepStrictEqual(merged.config.packets.map(packet => [packet.name, packet.layer]),
+    [['system_config', 'base'], ['manufacturer_data', 'base'], ['power_option', 'base'], ['led', 'overlay']]);
+  const power = merged.config.packets.find(packet => packet.id === '4');
+  assert.strictEqual(power.fields.sleep_timeout_ms, '5000');
+  assert.strictEqual(power.origins.sleep_timeout_ms, 'overlay');
+  assert.strictEqual(power.origins.tx_power, 'base');
+  assert.deepStrictEqual(merged.changes.map(change => change.field), ['oepl_tagtype']);
+  assert.match(merged.changes[0].message, /\[base\]$/);
+});
+
+test('redacts WiFi secrets and reports unfilled placeholders', () => {
+  const packets = [{ id: '38', fields: { ssid: 'my-network', password: '', encryption_type: '3', server_port: '2446' } }];
+  assert.deepStrictEqual(codec.findSecrets(packets).map(secret => [secret.field, secret.placeholder]), [['ssid', false]]);
+
+  const { packets: redacted, redacted: fields } = codec.redactSecrets(packets);
+  assert.deepStrictEqual(fields, [{ packetIndex: 0, packetId: 38, packetName: 'wifi_config', field: 'ssid' }]);
+  assert.strictEqual(redacted[0].fields.ssid, SECRET_PLACEHOLDER);
+  assert.strictEqual(redacted[0].fields.password, '');
+  assert.strictEqual(packets[0].fields.ssid, 'my-network');
+  assert.deepStrictEqual(codec.redactSecrets(redacted).redacted, []);
+  assert.ok(codec.validateConfig(redacted).errors.some(issue => issue.field === 'ssid' && issue.message === 'secret placeholder not filled in'));
+});
+
+test('round-trips a config through the symbolic form', () => {
+  const preset = JSON.parse(fs.readFileSync(path.join(__dirname, '../firmware/config/presets/esp32-c6-bo.json'), 'utf8'));
+  const config = codec.migrateConfig(preset).config;
+  config.packets.push({ id: '38', fields: { ssid: 'my-network', password: '', encryption_type: '3', server_port: '2446' } });
+
+  const symbolic = JSON.parse(JSON.stringify(codec.toSymbolicConfig(config)));
+  assert.strictEqual(symbolic.format, 'symbolic');
+  assert.deepStrictEqual(symbolic.packets[0].fields,
+    { ic_type: 'ESP32C6', communication_modes: ['ble'], device_flags: [], pwr_pin: 255, reserved: 0 });
+  assert.strictEqual(symbolic.packets[2].fields.power_mode, 'usb');
+  assert.deepStrictEqual(symbolic.packets[3].fields.transmission_modes, ['zip', 'direct_write']);
+  assert.strictEqual(symbolic.packets[4].fields.ssid, 'my-network');
+
+  const numeric = codec.fromSymbolicConfig(symbolic);
+  assert.strictEqual(numeric.format, undefined);
+  assert.deepStrictEqual(codec.encodeConfig(numeric.packets), codec.encodeConfig(config.packets));
+});
+
+test('writes unknown packets back byte for byte after an edit', async () => {
+  const preset = JSON.parse(fs.readFileSync(path.join(__dirname, '../firmware/config/presets/esp32-c6-bo.json'), 'utf8'));
+  const config = codec.encodeConfig(codec.fromSymbolicConfig(codec.migrateConfig(preset).config).packets);
+  // Packet 0x7E (e.g. from newer firmware) after the four known packets
+  const unknown = [4, 0x7E, 9, 8, 7];
+  const stored = codec.wrapConfigEnvelope([...config.slice(3, config.length - 2), ...unknown], 1);
+  const { emulator, ble } = await connect({ configBytes: stored });
+
+  const { config: decoded } = ble.decodeAndMigrateConfig(await ble.readConfig());
+  assert.strictEqual(decoded.packets[4].id, '126');
+  assert.strictEqual(decoded.packets[4].payload, '090807');
+  assert.deepStrictEqual(ble.encodeConfig(decoded.packets), stored);
+
+  decoded.packets.find(packet => packet.id === '32').fields.busy_pin = '22';
+  await ble.writeConfig(ble.encodeConfig(decoded.packets));
+  const written = emulator.configStore;
+  assert.deepStrictEqual(written.slice(written.length - 2 - unknown.length, written.length - 2), unknown);
+  assert.deepStrictEqual(ble.diffConfigs(stored, written).changedFields, 1);
+  await ble.disconnect();
+});
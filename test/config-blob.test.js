@@ -0,0 +1,55 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseHexDump, formatHexDump, formatCArray } = require('../js/config-blob.js');
+
+// 05 00 01 23 2f 2f 61 62: the ASCII column holds "#" and "//", which also start comments
+const BYTES = [0x05, 0x00, 0x01, 0x23, 0x2F, 0x2F, 0x61, 0x62];
+
+test('reads its own hex dump and C array output', () => {
+  assert.deepStrictEqual(Array.from(parseHexDump(formatHexDump(BYTES))), BYTES);
+  assert.deepStrictEqual(Array.from(parseHexDump(formatCArray(BYTES))), BYTES);
+});
+
+test('reads plain hex with comments', () => {
+  const text = '/* header */ 05 00 01 # version\n23 2f2f // run\n0x61,0x62';
+  assert.deepStrictEqual(Array.from(parseHexDump(text)), BYTES);
+});
+
+test('reads hexdump -C output without its ASCII column or end offset', () => {
+  const text =
+    '00000000  05 00 01 23 2f 2f 61 62                           |...#//ab|\n' +
+    '00000008\n';
+  assert.deepStrictEqual(Array.from(parseHexDump(text)), BYTES);
+});
+
+test('expands hexdump -C repeat lines', () => {
+  const text =
+    '00000000  00 00 00 00 00 00 00 00  00 00 00 00 00 00 00 00  |................|\n' +
+    '*\n' +
+    '00000040  41 42                                             |AB|\n' +
+    '00000042\n';
+  const bytes = parseHexDump(text);
+  assert.strictEqual(bytes.length, 0x42);
+  assert.deepStrictEqual(Array.from(bytes.slice(0x3E)), [0, 0, 0x41, 0x42]);
+});
+
+test('reads xxd output without its ASCII column', () => {
+  const text = '00000000: 0500 0123 2f2f 6162                      ...#//ab\n';
+  assert.deepStrictEqual(Array.from(parseHexDump(text)), BYTES);
+});
+
+test('keeps double-spaced byte groups of offset: lines', () => {
+  const text = '0000: 05 00 01  23 2f\n0005: 2f 61 62\n';
+  assert.deepStrictEqual(Array.from(parseHexDump(text)), BYTES);
+});
+
+test('rejects offsets that do not match the data', () => {
+  const text = '00000000  05 00                 |..|\n00000004  01                    |.|\n';
+  assert.throws(() => parseHexDump(text), /Offset 00000004 on line 2/);
+});
+
+test('rejects non-hex input', () => {
+  assert.throws(() => parseHexDump('05 0g'), /Invalid hex "0g" on line 1/);
+  assert.throws(() => parseHexDump('// nothing here'), /No hex bytes found/);
+});
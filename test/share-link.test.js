@@ -0,0 +1,32 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const { SHARE_LINK_PREFIX, base64urlEncode, isShareToken, encodeShareToken, decodeShareToken } = require('../js/share-link.js');
+
+// Repetitive, so deflate makes it smaller
+const CONFIG = Uint8Array.from({ length: 300 }, (_, i) => i % 7);
+
+test('round-trips a compressed share token', async () => {
+  const token = await encodeShareToken(CONFIG);
+  assert.ok(token.startsWith(SHARE_LINK_PREFIX));
+  assert.ok(isShareToken(token));
+  const decoded = await decodeShareToken(token);
+  assert.deepStrictEqual(Array.from(decoded.bytes), Array.from(CONFIG));
+  assert.strictEqual(decoded.format, 'od1');
+  assert.strictEqual(decoded.compressed, true);
+});
+
+test('reads legacy raw base64url configs', async () => {
+  const decoded = await decodeShareToken(base64urlEncode(CONFIG));
+  assert.deepStrictEqual(Array.from(decoded.bytes), Array.from(CONFIG));
+  assert.strictEqual(decoded.format, 'legacy');
+});
+
+test('rejects damaged, truncated and unknown-version tokens', async () => {
+  const token = await encodeShareToken([1, 2, 3, 4, 5]);
+  const payload = Buffer.from(token.slice(SHARE_LINK_PREFIX.length), 'base64url');
+  payload[payload.length - 1] ^= 0xFF;
+  await assert.rejects(decodeShareToken(SHARE_LINK_PREFIX + payload.toString('base64url')), /CRC mismatch/);
+  await assert.rejects(decodeShareToken(SHARE_LINK_PREFIX + 'AAAA'), /truncated/);
+  await assert.rejects(decodeShareToken('od9.' + token.slice(SHARE_LINK_PREFIX.length)), /Unsupported share link version/);
+});